@@ -25,4 +25,28 @@ const upload = multer({
   limits: { fileSize: 2 * 1024 * 1024 } // 2MB limit
 });
 
-module.exports = { cloudinary, upload };
+// Upload middleware that only uploads files while accept(req) holds. Form
+// fields sent before the files are already on req.body, so a request that
+// will be rejected can skip its uploads.
+const uploadIf = (accept) => multer({
+  storage: storage,
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, accept(req))
+});
+
+// Delete images from Cloudinary by public ID. Failures are logged, not
+// thrown: a leftover image shouldn't fail the request that removed it.
+async function deleteImages(publicIds) {
+  const ids = publicIds.filter(Boolean);
+  const results = await Promise.allSettled(
+    ids.map(publicId => cloudinary.uploader.destroy(publicId))
+  );
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`❌ Failed to delete image ${ids[index]}:`, result.reason.message);
+    }
+  });
+}
+
+module.exports = { cloudinary, upload, uploadIf, deleteImages };
@@ -26,6 +26,22 @@ const protect = (req, res, next) => {
   }
 };
 
+// Like protect, but lets anonymous requests through. req.user is only set
+// when a valid token is sent.
+const optionalAuth = (req, res, next) => {
+  const header = req.headers.authorization;
+
+  if (header && header.startsWith('Bearer')) {
+    try {
+      req.user = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+    } catch (error) {
+      // Treat an invalid token like no token
+    }
+  }
+
+  next();
+};
+
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -38,4 +54,4 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
\ No newline at end of file
+module.exports = { protect, optionalAuth, authorize };
\ No newline at end of file
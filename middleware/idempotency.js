@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a request holds its key while it is processed. A key left
+// processing after a crash can be taken over by a retry once this passes.
+const PROCESSING_LEASE = 60 * 1000; // 60 seconds
+
+// Replay the stored response when a client retries a request with the same
+// Idempotency-Key header. Must run after `protect`.
+const idempotent = async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+
+  if (!key) {
+    return next();
+  }
+
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      userId: req.user.id,
+      fingerprint,
+      lockedUntil: new Date(Date.now() + PROCESSING_LEASE)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+
+    // Key has been used before
+    const existing = await IdempotencyKey.findOne({ key, userId: req.user.id });
+
+    if (!existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Idempotency-Key is being reset. Please retry.'
+      });
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key has already been used with a different request'
+      });
+    }
+
+    if (existing.status === 'processing') {
+      // Take over the key if the request holding it never finished
+      const now = new Date();
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', lockedUntil: { $not: { $gt: now } } },
+        { $set: { lockedUntil: new Date(now.getTime() + PROCESSING_LEASE) } },
+        { new: true }
+      );
+
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+    } else {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+  }
+
+  // Store the response once the route sends it
+  let stored = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    stored = true;
+    const saved = res.statusCode >= 500
+      // Server errors are not final, so let the client retry with the same key
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'completed', response: { statusCode: res.statusCode, body } }
+        );
+
+    saved.catch(error => {
+      console.error('❌ Error saving idempotent response:', error.message);
+    });
+
+    return json(body);
+  };
+
+  // A response that wasn't stored (not sent with res.json, or the connection
+  // closed first) can't be replayed, so free the key for a retry
+  res.on('close', () => {
+    if (stored) return;
+
+    IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' }).catch(error => {
+      console.error('❌ Error releasing idempotency key:', error.message);
+    });
+  });
+
+  next();
+};
+
+module.exports = { idempotent };
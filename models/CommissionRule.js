@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { currencyField } = require('../utils/iso4217');
+
+// Platform commission on sales. The most specific active rule wins:
+// seller, then category, then default (see utils/commission.js).
+const commissionRuleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['default', 'category', 'seller'],
+    required: true
+  },
+  
+  category: String, // For category rules
+  
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller'
+  }, // For seller rules
+  
+  rate: {
+    type: Number,
+    required: [true, 'Commission rate is required'],
+    min: 0,
+    max: 100
+  }, // Percent of the item subtotal
+  
+  fixedFee: {
+    amount: { type: Number, default: 0, min: 0 },
+    currency: currencyField({ default: 'USD' })
+  }, // Charged per order line on top of the rate
+  
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+commissionRuleSchema.index({ scope: 1, category: 1, sellerId: 1 }, { unique: true });
+
+// Update timestamp on save
+commissionRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
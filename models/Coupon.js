@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { currencyField } = require('../utils/iso4217');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Coupon codes are 3-32 letters, digits, - or _']
+  },
+  
+  description: String,
+  
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: 0
+  }, // Percent off, or an amount in `currency`
+  
+  // Currency of fixed discounts, maxDiscount and minOrderValue
+  currency: currencyField({ required: true, default: 'USD' }),
+  
+  maxDiscount: {
+    type: Number,
+    min: 0
+  }, // Cap for percentage discounts
+  
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  }, // Minimum subtotal of the eligible items
+  
+  // Which items the coupon applies to
+  scope: {
+    type: String,
+    enum: ['platform', 'seller', 'category', 'products'],
+    required: true
+  },
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller'
+  }, // seller scope, and the owner of seller-created coupons
+  category: String, // category scope
+  productIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }], // products scope
+  
+  // Who pays for the discount. Seller-funded discounts reduce what the
+  // seller is credited (and the commission base); platform-funded ones are
+  // paid out of platform fees and leave the seller's credit untouched.
+  fundedBy: {
+    type: String,
+    enum: ['platform', 'seller'],
+    required: true
+  },
+  
+  startsAt: Date,
+  endsAt: Date,
+  
+  usageLimit: Number, // Total redemptions allowed
+  perBuyerLimit: Number, // Redemptions allowed per buyer
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  
+  createdBy: {
+    role: {
+      type: String,
+      enum: ['seller', 'admin']
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+couponSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Redemptions of a coupon by one buyer, for Coupon.perBuyerLimit
+const couponUsageSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  count: {
+    type: Number,
+    default: 0
+  }
+});
+
+couponUsageSchema.index({ couponId: 1, buyerId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
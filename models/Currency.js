@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { currencyField } = require('../utils/iso4217');
+
+// Currencies the marketplace accepts for prices, payments, wallets and
+// payouts. Managed by admins; see utils/currency.js for the lookup.
+const currencySchema = new mongoose.Schema({
+  code: currencyField({
+    required: [true, 'Currency code is required'],
+    unique: true
+  }),
+  
+  name: String,
+  
+  symbol: String, // Defaults to getCurrencySymbol()
+  
+  minimumPayout: {
+    type: Number,
+    min: 0
+  }, // Smallest payout sellers can request in this currency
+  
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+currencySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Currency', currencySchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const disputeSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+
+  // Line items under dispute (all active items if opened on the whole order)
+  itemIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }],
+
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  sellerIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  }],
+
+  reason: {
+    type: String,
+    enum: ['not_received', 'not_as_described', 'damaged', 'wrong_item', 'return_request', 'other'],
+    required: [true, 'Dispute reason is required']
+  },
+
+  description: {
+    type: String,
+    required: [true, 'Please describe the problem']
+  },
+
+  evidence: [{
+    url: String,
+    publicId: String // Cloudinary public ID
+  }],
+
+  sellerResponse: {
+    message: String,
+    evidence: [{
+      url: String,
+      publicId: String
+    }],
+    respondedAt: Date
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'seller_responded', 'resolved'],
+    default: 'open'
+  },
+
+  resolution: {
+    type: {
+      type: String,
+      enum: ['full_refund', 'partial_refund', 'release']
+    },
+    refundAmount: Number,
+    currency: String,
+    note: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    resolvedAt: Date
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+disputeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { currencyField } = require('../utils/iso4217');
+
+// Snapshot of exchange rates from one provider. Rates are units of each
+// currency per one unit of the base currency. Snapshots are never edited;
+// a new one is saved on every refresh or manual change.
+const exchangeRateSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  
+  base: currencyField({ required: true, default: 'USD' }),
+  
+  rates: {
+    type: Map,
+    of: Number,
+    required: true
+  },
+  
+  fetchedAt: {
+    type: Date,
+    default: Date.now
+  }, // When the provider published or returned the rates
+  
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }, // Admin who entered manual rates
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+exchangeRateSchema.index({ provider: 1, fetchedAt: -1 });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  
+  // Keys are scoped to the account that sent them
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  
+  // Hash of method, path and body of the original request
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  
+  lockedUntil: Date, // While processing; a retry may take the key over after it
+  
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 24 * 60 * 60 // Keys are kept for 24 hours
+  }
+});
+
+idempotencyKeySchema.index({ key: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { currencyField } = require('../utils/iso4217');
+
+// One line of a double-entry journal. Every money movement posts a journal
+// whose debits and credits balance (see utils/ledger.js). Entries are never
+// changed or removed; mistakes are corrected with a new journal.
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  
+  account: {
+    type: String,
+    enum: [
+      'platform_escrow',  // Buyer money held by the platform
+      'platform_fees',    // Platform revenue
+      'tax_payable',      // Tax collected from buyers, owed to tax authorities
+      'seller_pending',   // Owed to a seller once escrow is released
+      'seller_available', // Seller wallet balance
+      'seller_payouts',   // Reserved for a requested payout
+      'opening_balances'  // Wallet money from before the ledger existed
+    ],
+    required: true
+  },
+  
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    index: true
+  }, // Set on seller_* accounts
+  
+  currency: currencyField({ required: true }),
+  
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Movement that caused the journal (escrow_hold, escrow_release, refund, ...)
+  type: {
+    type: String,
+    required: true
+  },
+  
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  
+  description: String,
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Append-only: block every kind of update or delete
+const appendOnly = function(next) {
+  next(new Error('Ledger entries are append-only'));
+};
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => ledgerEntrySchema.pre(operation, appendOnly));
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
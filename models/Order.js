@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { currencyField } = require('../utils/iso4217');
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -7,6 +8,24 @@ const orderSchema = new mongoose.Schema({
     required: true
   },
   
+  // Multi-seller checkouts are split into a parent order, which carries the
+  // buyer's single payment, and one sub-order per seller. Each sub-order has
+  // its own items, shipping, escrow and delivery confirmation.
+  parentOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  
+  subOrders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller'
+  }, // Set on sub-orders
+  
   buyer: {
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -29,7 +48,15 @@ const orderSchema = new mongoose.Schema({
       ref: 'Seller',
       required: true
     },
+    variantId: mongoose.Schema.Types.ObjectId, // Product.variants entry, if the product has variants
     name: String,
+    variant: {
+      sku: String,
+      options: {
+        type: Map,
+        of: String
+      }
+    }, // Copied from the variant when ordered
     price: {
       amount: Number,
       currency: String
@@ -39,9 +66,95 @@ const orderSchema = new mongoose.Schema({
       required: true,
       min: 1
     },
-    subtotal: Number
+    subtotal: Number,
+    shippingFee: {
+      type: Number,
+      default: 0
+    }, // Flat fee for this line, in the payment currency
+    discount: {
+      amount: { type: Number, default: 0 },
+      fundedBy: {
+        type: String,
+        enum: ['platform', 'seller']
+      }
+    }, // Coupon discount on this line, in the payment currency
+    escrowAmount: Number, // subtotal + shippingFee (less a seller-funded discount), held for the seller
+    tax: {
+      rate: Number, // Percent
+      amount: { type: Number, default: 0 },
+      refunded: { type: Number, default: 0 }
+    }, // Charged on top of the line, not held for the seller
+    commission: {
+      rate: Number, // Percent of the subtotal
+      fixedFee: Number,
+      amount: Number
+    }, // Platform commission, deducted when escrow is released
+    // Buyer pays escrowAmount less any platform-funded discount, plus tax; the
+    // platform tops up escrow with the discount when payment is confirmed.
+    status: {
+      type: String,
+      enum: ['active', 'cancelled', 'refunded', 'released'],
+      default: 'active'
+    }, // refunded / released: escrow settled individually by a dispute
+    cancelledBy: {
+      type: String,
+      enum: ['buyer', 'seller', 'admin']
+    },
+    cancelledAt: Date,
+    cancellationReason: String
   }],
   
+  // Exchange rates used to price the order, kept for audits and refunds.
+  // rates are units of each currency per one unit of base.
+  exchangeRates: {
+    snapshotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExchangeRate'
+    },
+    provider: String,
+    base: String,
+    fetchedAt: Date,
+    rates: {
+      type: Map,
+      of: Number
+    }
+  },
+  
+  // Coupon applied at checkout (the discount itself is recorded per line)
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    fundedBy: {
+      type: String,
+      enum: ['platform', 'seller']
+    }
+  },
+  
+  // Seller invoice, issued once a sub-order is paid. Numbers run in
+  // sequence per seller.
+  invoice: {
+    number: String,
+    issuedAt: Date
+  },
+  
+  // Tax charged on the order, by the destination country's rule
+  tax: {
+    country: String, // Jurisdiction (TaxRule.country)
+    name: String, // e.g. VAT
+    amount: { type: Number, default: 0 }
+  },
+  
+  // Breakdown of payment.amount, in the payment currency
+  totals: {
+    items: Number,
+    shipping: Number,
+    discount: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 }
+  },
+  
   shippingAddress: {
     fullName: String,
     address: String,
@@ -58,33 +171,51 @@ const orderSchema = new mongoose.Schema({
       enum: ['card', 'bank_transfer', 'paypal', 'stripe'],
       required: true
     },
-    currency: {
-      type: String,
-      enum: ['USD', 'GBP', 'EUR', 'NGN'],
-      required: true
-    },
+    currency: currencyField({ required: true }),
     amount: {
       type: Number,
       required: true
     },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending'
     },
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+    provider: String, // Payment gateway, see utils/payments
+    sessionId: String, // Gateway checkout session
     transactionId: String,
-    paidAt: Date
+    paidAt: Date,
+    // Set when the gateway took a payment that couldn't be applied; an admin
+    // has to refund or resolve it
+    review: {
+      reason: {
+        type: String,
+        enum: ['amount_mismatch', 'paid_after_void', 'duplicate_payment']
+      },
+      transactionId: String,
+      amount: Number,
+      currency: String,
+      flaggedAt: Date
+    }
   },
   
   escrow: {
     status: {
       type: String,
-      enum: ['held', 'released', 'refunded'],
-      default: 'held'
-    },
+      enum: ['pending', 'held', 'released', 'refunded'],
+      default: 'pending'
+    }, // pending until the payment is confirmed
     heldAt: Date,
     releasedAt: Date,
-    releaseScheduledFor: Date // Auto-release after X days
+    releaseScheduledFor: Date, // Auto-release after X days
+    frozen: {
+      type: Boolean,
+      default: false
+    } // Blocks auto-release (e.g. while a dispute is open)
   },
   
   shipping: {
@@ -97,7 +228,19 @@ const orderSchema = new mongoose.Schema({
     trackingNumber: String,
     shippedAt: Date,
     estimatedDelivery: Date,
-    deliveredAt: Date
+    deliveredAt: Date,
+    updates: [{
+      status: String,
+      note: String,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller'
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
   
   status: {
@@ -118,6 +261,28 @@ const orderSchema = new mongoose.Schema({
   
   deliveryConfirmedAt: Date,
   
+  // Audit log of every status change (see utils/orderLifecycle.js)
+  statusHistory: [{
+    field: {
+      type: String,
+      enum: ['status', 'payment.status', 'shipping.status', 'escrow.status']
+    },
+    from: String,
+    to: String,
+    changedBy: {
+      role: {
+        type: String,
+        enum: ['buyer', 'seller', 'admin', 'system']
+      },
+      id: mongoose.Schema.Types.ObjectId
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   notes: String,
   
   createdAt: {
@@ -131,11 +296,16 @@ const orderSchema = new mongoose.Schema({
   }
 });
 
-// Generate unique order number
-orderSchema.pre('save', async function(next) {
-  if (this.isNew) {
+// Generate unique order number (sub-orders are numbered from their parent).
+// Runs before validation because orderNumber is required.
+orderSchema.pre('validate', function(next) {
+  if (this.isNew && !this.orderNumber) {
     this.orderNumber = 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9).toUpperCase();
   }
+  next();
+});
+
+orderSchema.pre('save', async function(next) {
   this.updatedAt = Date.now();
   next();
 });
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { currencyField } = require('../utils/iso4217');
+
+const payoutSchema = new mongoose.Schema({
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  },
+  
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  
+  currency: currencyField({ required: true }),
+  
+  // Copy of the seller's bankAccounts entry at the time of the request
+  bankAccount: {
+    accountId: mongoose.Schema.Types.ObjectId,
+    bankName: String,
+    accountName: String,
+    accountNumber: String,
+    swiftCode: String
+  },
+  
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'processing', 'paid', 'rejected', 'failed'],
+    default: 'requested'
+  },
+  
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }, // The withdrawal Transaction
+  
+  reference: String, // Bank or processor reference once paid
+  
+  rejectionReason: String,
+  
+  history: [{
+    status: String,
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  paidAt: Date,
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+payoutSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { currencyField } = require('../utils/iso4217');
+const { productSearchTokens } = require('../utils/searchTokens');
+const { basePrice } = require('../utils/currency');
 
 const productSchema = new mongoose.Schema({
   sellerId: {
@@ -30,12 +33,15 @@ const productSchema = new mongoose.Schema({
       required: [true, 'Price is required'],
       min: 0
     },
-    currency: {
-      type: String,
-      required: true,
-      enum: ['USD', 'GBP', 'EUR', 'NGN'],
-      default: 'USD'
-    }
+    currency: currencyField({ required: true, default: 'USD' })
+  },
+  
+  // price in the base currency (USD) at the cached exchange rates, for
+  // sorting and filtering by price; null when there is no rate. Kept up to
+  // date as rates change (see rebasePrices in utils/search.js).
+  basePrice: {
+    type: Number,
+    default: null
   },
   
   images: [{
@@ -48,7 +54,35 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 0,
     default: 0
-  },
+  }, // For products with variants, the total of the variants' stock
+  
+  // Option axes, e.g. { name: 'Size', values: ['S', 'M', 'L'] }. Products
+  // with options are sold as variants, one per combination on offer.
+  options: [{
+    _id: false,
+    name: { type: String, trim: true },
+    values: [String]
+  }],
+  
+  variants: [{
+    sku: { type: String, trim: true },
+    options: {
+      type: Map,
+      of: String
+    }, // Option name -> value, one for each axis
+    price: {
+      amount: { type: Number, min: 0 }
+    }, // Overrides price.amount (same currency) when set
+    stock: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    images: [{
+      url: String,
+      publicId: String
+    }] // A subset of the product's images
+  }],
   
   condition: {
     type: String,
@@ -97,6 +131,12 @@ const productSchema = new mongoose.Schema({
   
   tags: [String],
   
+  // Built from name, tags and description on save (see utils/searchTokens.js)
+  searchTokens: {
+    type: [String],
+    select: false
+  },
+  
   createdAt: {
     type: Date,
     default: Date.now
@@ -108,9 +148,25 @@ const productSchema = new mongoose.Schema({
   }
 });
 
-// Update timestamp on save
+productSchema.index({ searchTokens: 1 });
+
+// One index per listing order (see SORTS in utils/search.js)
+productSchema.index({ isActive: 1, createdAt: -1, _id: 1 });
+productSchema.index({ isActive: 1, basePrice: 1, _id: 1 });
+productSchema.index({ isActive: 1, basePrice: -1, _id: 1 });
+productSchema.index({ isActive: 1, sales: -1, createdAt: -1, _id: 1 });
+productSchema.index({ isActive: 1, views: -1, createdAt: -1, _id: 1 });
+productSchema.index({ isActive: 1, 'rating.average': -1, 'rating.count': -1, createdAt: -1, _id: 1 });
+
+// Update timestamp, base price and search tokens on save
 productSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  if (this.isNew || this.isModified('price')) {
+    this.basePrice = basePrice(this.price);
+  }
+  if (this.isNew || this.isModified('name') || this.isModified('tags') || this.isModified('description')) {
+    this.searchTokens = productSearchTokens(this);
+  }
   next();
 });
 
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { currencyField } = require('../utils/iso4217');
+
+const walletSchema = new mongoose.Schema({
+  balance: { type: Number, default: 0 },
+  pendingBalance: { type: Number, default: 0 },
+  totalEarnings: { type: Number, default: 0 }
+}, { _id: false });
 
 const sellerSchema = new mongoose.Schema({
   email: {
@@ -72,33 +79,23 @@ const sellerSchema = new mongoose.Schema({
     }
   },
   
-  // Multi-currency wallets
+  // Multi-currency wallets, keyed by currency code. A wallet is created the
+  // first time the seller is credited in that currency.
   wallets: {
-    USD: {
-      balance: { type: Number, default: 0 },
-      pendingBalance: { type: Number, default: 0 },
-      totalEarnings: { type: Number, default: 0 }
-    },
-    GBP: {
-      balance: { type: Number, default: 0 },
-      pendingBalance: { type: Number, default: 0 },
-      totalEarnings: { type: Number, default: 0 }
-    },
-    EUR: {
-      balance: { type: Number, default: 0 },
-      pendingBalance: { type: Number, default: 0 },
-      totalEarnings: { type: Number, default: 0 }
-    },
-    NGN: {
-      balance: { type: Number, default: 0 },
-      pendingBalance: { type: Number, default: 0 },
-      totalEarnings: { type: Number, default: 0 }
-    }
+    type: Map,
+    of: walletSchema,
+    default: {}
+  },
+  
+  // Last invoice number issued by this seller (see utils/invoices.js)
+  invoiceSequence: {
+    type: Number,
+    default: 0
   },
   
   // Bank account info for withdrawals
   bankAccounts: [{
-    currency: { type: String, enum: ['USD', 'GBP', 'EUR', 'NGN'] },
+    currency: currencyField(),
     accountNumber: String,
     accountName: String,
     bankName: String,
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Sales tax / VAT charged on orders shipped to a country
+const taxRuleSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    required: [true, 'Country code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a 2-letter ISO country code']
+  },
+  
+  countryName: String,
+  
+  // Other ways the country is written in addresses (e.g. UK, Great Britain)
+  aliases: [String],
+  
+  name: {
+    type: String,
+    default: 'VAT'
+  },
+  
+  rate: {
+    type: Number,
+    required: [true, 'Tax rate is required'],
+    min: 0,
+    max: 100
+  }, // Standard rate, percent
+  
+  // Reduced rates by product category; a rate of 0 exempts the category
+  categoryRates: [{
+    category: { type: String, required: true },
+    rate: { type: Number, required: true, min: 0, max: 100 }
+  }],
+  
+  taxShipping: {
+    type: Boolean,
+    default: true
+  }, // Whether shipping fees are taxed too
+  
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+taxRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
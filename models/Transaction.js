@@ -1,10 +1,15 @@
 const mongoose = require('mongoose');
+const { currencyField } = require('../utils/iso4217');
 
 const transactionSchema = new mongoose.Schema({
   orderId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Order',
-    required: true
+    ref: 'Order'
+  }, // Not set on withdrawals
+  
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
   },
   
   sellerId: {
@@ -15,7 +20,7 @@ const transactionSchema = new mongoose.Schema({
   
   type: {
     type: String,
-    enum: ['sale', 'refund', 'withdrawal', 'escrow_hold', 'escrow_release'],
+    enum: ['sale', 'refund', 'withdrawal', 'escrow_hold', 'escrow_release', 'commission'],
     required: true
   },
   
@@ -24,11 +29,7 @@ const transactionSchema = new mongoose.Schema({
     required: true
   },
   
-  currency: {
-    type: String,
-    enum: ['USD', 'GBP', 'EUR', 'NGN'],
-    required: true
-  },
+  currency: currencyField({ required: true }),
   
   status: {
     type: String,
@@ -4,7 +4,33 @@ const User = require('../models/User');
 const Seller = require('../models/Seller');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const Payout = require('../models/Payout');
+const Transaction = require('../models/Transaction');
+const CommissionRule = require('../models/CommissionRule');
 const { protect, authorize } = require('../middleware/auth');
+const { updatePayoutStatus } = require('../utils/payouts');
+const { reconcile, backfillOpeningBalances } = require('../utils/ledger');
+const {
+  DEFAULT_CURRENCIES,
+  activeProvider,
+  latestSnapshot,
+  updateExchangeRates,
+  setManualRates,
+  clearCurrencyCache,
+  isSupportedCurrency
+} = require('../utils/currency');
+const { pageOptions, queryList, paginate } = require('../utils/pagination');
+const { searchProducts } = require('../utils/search');
+const { isCurrencyCode, minorUnits, roundAmount } = require('../utils/iso4217');
+const Currency = require('../models/Currency');
+const TaxRule = require('../models/TaxRule');
+
+// Checkouts: parent orders, and single orders placed before checkouts were
+// split by seller
+const CHECKOUTS = { parentOrderId: null };
+
+// Orders that carry items: sub-orders and single orders
+const SELLER_ORDERS = { 'subOrders.0': { $exists: false } };
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard stats
@@ -15,15 +41,24 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
     const totalUsers = await User.countDocuments();
     const totalSellers = await Seller.countDocuments();
     const totalProducts = await Product.countDocuments();
-    const totalOrders = await Order.countDocuments();
+    // Orders are counted per checkout and revenue per seller order, so a
+    // checkout and its sub-orders are never counted twice
+    const totalOrders = await Order.countDocuments(CHECKOUTS);
     
     // Get revenue (sum of all completed orders)
     const revenueData = await Order.aggregate([
-      { $match: { status: 'completed' } },
+      { $match: { ...SELLER_ORDERS, status: 'completed' } },
       { $group: { _id: null, total: { $sum: '$payment.amount' } } }
     ]);
     const totalRevenue = revenueData[0]?.total || 0;
     
+    // Get platform revenue (commission taken on released sales), per currency
+    const platformRevenue = await Transaction.aggregate([
+      { $match: { type: 'commission', status: 'completed' } },
+      { $group: { _id: '$currency', total: { $sum: '$amount' } } },
+      { $sort: { '_id': 1 } }
+    ]);
+    
     // Get pending seller approvals
     const pendingSellers = await Seller.countDocuments({ isApproved: false });
     
@@ -31,6 +66,7 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
     const monthlyRevenue = await Order.aggregate([
       { 
         $match: { 
+          ...SELLER_ORDERS,
           status: 'completed',
           createdAt: { $gte: new Date(new Date().setMonth(new Date().getMonth() - 6)) }
         } 
@@ -44,6 +80,24 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
       { $sort: { '_id': 1 } }
     ]);
     
+    // Get monthly commission for chart
+    const monthlyCommission = await Transaction.aggregate([
+      {
+        $match: {
+          type: 'commission',
+          status: 'completed',
+          createdAt: { $gte: new Date(new Date().setMonth(new Date().getMonth() - 6)) }
+        }
+      },
+      {
+        $group: {
+          _id: { month: { $month: '$createdAt' }, currency: '$currency' },
+          total: { $sum: '$amount' }
+        }
+      },
+      { $sort: { '_id.month': 1 } }
+    ]);
+    
     // Get monthly user growth for chart
     const monthlyUsers = await User.aggregate([
       {
@@ -64,6 +118,10 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
       success: true,
       stats: {
         totalRevenue,
+        platformRevenue: platformRevenue.map(row => ({
+          currency: row._id,
+          total: roundAmount(row.total, row._id)
+        })),
         totalUsers,
         totalSellers,
         totalOrders,
@@ -71,6 +129,7 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
       },
       charts: {
         monthlyRevenue,
+        monthlyCommission,
         monthlyUsers
       }
     });
@@ -83,11 +142,11 @@ router.get('/dashboard', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   GET /api/admin/users
-// @desc    Get all users with pagination
+// @desc    Get all users, newest first (?cursor= or ?page=, limit up to 100)
 // @access  Protected - Admin only
 router.get('/users', protect, authorize('admin'), async (req, res) => {
   try {
-    const { page = 1, limit = 20, search = '' } = req.query;
+    const { search = '' } = req.query;
     
     let query = {};
     if (search) {
@@ -99,23 +158,18 @@ router.get('/users', protect, authorize('admin'), async (req, res) => {
       };
     }
     
-    const users = await User.find(query)
-      .select('-password')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
-    
-    const count = await User.countDocuments(query);
+    const { items: users, paging } = await paginate(User, query, {
+      ...pageOptions(req.query),
+      build: (find) => find.select('-password')
+    });
     
     res.json({
       success: true,
       users,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page,
-      total: count
+      ...paging
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -123,11 +177,11 @@ router.get('/users', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   GET /api/admin/sellers
-// @desc    Get all sellers with pagination
+// @desc    Get all sellers, newest first (?cursor= or ?page=, limit up to 100)
 // @access  Protected - Admin only
 router.get('/sellers', protect, authorize('admin'), async (req, res) => {
   try {
-    const { page = 1, limit = 20, status = 'all' } = req.query;
+    const { status = 'all' } = req.query;
     
     let query = {};
     if (status === 'pending') {
@@ -136,23 +190,18 @@ router.get('/sellers', protect, authorize('admin'), async (req, res) => {
       query.isApproved = true;
     }
     
-    const sellers = await Seller.find(query)
-      .select('-password')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
-    
-    const count = await Seller.countDocuments(query);
+    const { items: sellers, paging } = await paginate(Seller, query, {
+      ...pageOptions(req.query),
+      build: (find) => find.select('-password')
+    });
     
     res.json({
       success: true,
       sellers,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page,
-      total: count
+      ...paging
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -221,29 +270,40 @@ router.delete('/sellers/:id', protect, authorize('admin'), async (req, res) => {
 });
 
 // @route   GET /api/admin/products
-// @desc    Get all products
+// @desc    Get all products, including inactive ones (?active=true|false).
+//          Same search, sort, filters and pagination as GET /api/products;
+//          prices sort in ?currency= (default USD).
 // @access  Protected - Admin only
 router.get('/products', protect, authorize('admin'), async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { search, sort, cursor, page, limit, currency = 'USD', ...filters } = req.query;
     
-    const products = await Product.find()
-      .populate('sellerId', 'storeName email')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
+    if (!(await isSupportedCurrency(currency))) {
+      return res.status(400).json({
+        success: false,
+        message: `${currency} is not a supported currency`
+      });
+    }
     
-    const count = await Product.countDocuments();
+    const listing = await searchProducts({
+      search,
+      sort,
+      ...pageOptions({ cursor, page, limit }),
+      currency,
+      filters,
+      includeInactive: true,
+      sellerFields: 'storeName email'
+    });
     
     res.json({
       success: true,
-      products,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page,
-      total: count
+      sort: listing.sort,
+      products: listing.products,
+      facets: listing.facets,
+      ...listing.paging
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -277,26 +337,608 @@ router.delete('/products/:id', protect, authorize('admin'), async (req, res) =>
 });
 
 // @route   GET /api/admin/orders
-// @desc    Get all orders
+// @desc    Get all checkouts with their sub-orders, newest first (?cursor=
+//          or ?page=, limit up to 100). ?review=true lists only checkouts
+//          with a gateway payment flagged for review.
 // @access  Protected - Admin only
 router.get('/orders', protect, authorize('admin'), async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const query = req.query.review === 'true'
+      ? { ...CHECKOUTS, 'payment.review.reason': { $exists: true } }
+      : CHECKOUTS;
     
-    const orders = await Order.find()
-      .populate('buyer.userId', 'fullName email')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
-    
-    const count = await Order.countDocuments();
+    const { items: orders, paging } = await paginate(Order, query, {
+      ...pageOptions(req.query),
+      build: (find) => find
+        .populate('buyer.userId', 'fullName email')
+        .populate('subOrders')
+    });
     
     res.json({
       success: true,
       orders,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page,
-      total: count
+      ...paging
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/payouts
+// @desc    Get payout requests (filter by status, seller), newest first
+//          (?cursor= or ?page=, limit up to 100)
+// @access  Protected - Admin only
+router.get('/payouts', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { sellerId } = req.query;
+    const statuses = queryList(req.query.status);
+    
+    let query = {};
+    if (statuses.length > 0) query.status = { $in: statuses };
+    if (sellerId) query.sellerId = sellerId;
+    
+    const { items: payouts, paging } = await paginate(Payout, query, {
+      ...pageOptions(req.query),
+      build: (find) => find.populate('sellerId', 'storeName email')
+    });
+    
+    res.json({
+      success: true,
+      payouts,
+      ...paging
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/payouts/:id/status
+// @desc    Approve, reject or mark a payout processing, paid or failed
+// @access  Protected - Admin only
+router.put('/payouts/:id/status', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { status, note, reference } = req.body;
+    
+    if (!['approved', 'rejected', 'processing', 'paid', 'failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of approved, rejected, processing, paid, failed'
+      });
+    }
+    
+    if (status === 'rejected' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for rejecting the payout'
+      });
+    }
+    
+    const payout = await updatePayoutStatus(req.params.id, status, {
+      adminId: req.user.id,
+      note,
+      reference
+    });
+    
+    res.json({
+      success: true,
+      message: `Payout ${status}`,
+      payout
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/ledger/reconciliation
+// @desc    Flag sellers whose stored wallet balances drift from the ledger
+// @access  Protected - Admin only
+router.get('/ledger/reconciliation', protect, authorize('admin'), async (req, res) => {
+  try {
+    const report = await reconcile();
+    
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/ledger/opening-balances
+// @desc    Post opening journals for wallet money from before the ledger
+//          (one-off, after the ledger goes live)
+// @access  Protected - Admin only
+router.post('/ledger/opening-balances', protect, authorize('admin'), async (req, res) => {
+  try {
+    const opened = await backfillOpeningBalances();
+    
+    res.json({
+      success: true,
+      message: `Posted opening balances for ${opened.length} wallet(s)`,
+      opened
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/commission-rules
+// @desc    Get platform commission rules
+// @access  Protected - Admin only
+router.get('/commission-rules', protect, authorize('admin'), async (req, res) => {
+  try {
+    const rules = await CommissionRule.find()
+      .populate('sellerId', 'storeName shopURL')
+      .sort({ scope: 1, category: 1 });
+    
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/commission-rules
+// @desc    Create or update the default, a category or a seller commission rule
+// @access  Protected - Admin only
+router.put('/commission-rules', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { scope, category, sellerId, rate, fixedFee, isActive } = req.body;
+    
+    if (!['default', 'category', 'seller'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope must be one of default, category, seller'
+      });
+    }
+    
+    const percent = parseFloat(rate);
+    if (!(percent >= 0 && percent <= 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Commission rate must be a percentage between 0 and 100'
+      });
+    }
+    
+    // fixedFee is { amount, currency }; an amount of 0 removes the fee
+    const fee = fixedFee !== undefined && fixedFee !== null && typeof fixedFee === 'object'
+      ? {
+        amount: typeof fixedFee.amount === 'number' ? fixedFee.amount : NaN,
+        currency: typeof fixedFee.currency === 'string' ? fixedFee.currency.toUpperCase() : 'USD'
+      }
+      : null;
+    
+    if (fixedFee !== undefined && !(fee && Number.isFinite(fee.amount) && fee.amount >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fixed fee must be an amount of 0 or more with its currency'
+      });
+    }
+    
+    if (fee && !(await isSupportedCurrency(fee.currency))) {
+      return res.status(400).json({
+        success: false,
+        message: `${fee.currency} is not a supported currency`
+      });
+    }
+    
+    if (scope === 'category' && !Product.schema.path('category').enumValues.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid product category'
+      });
+    }
+    
+    if (scope === 'seller' && !(await Seller.exists({ _id: sellerId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller not found'
+      });
+    }
+    
+    // One rule per default, category or seller
+    const key = {
+      scope,
+      category: scope === 'category' ? category : null,
+      sellerId: scope === 'seller' ? sellerId : null
+    };
+    
+    const rule = await CommissionRule.findOne(key) || new CommissionRule(key);
+    
+    rule.rate = percent;
+    if (fixedFee !== undefined) rule.fixedFee = fee;
+    if (isActive !== undefined) rule.isActive = isActive;
+    await rule.save();
+    
+    res.json({
+      success: true,
+      message: 'Commission rule saved',
+      rule
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/commission-rules/:id
+// @desc    Delete a commission rule
+// @access  Protected - Admin only
+router.delete('/commission-rules/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+    
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rule not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Commission rule deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/exchange-rates
+// @desc    Get the exchange rates orders are priced with
+// @access  Protected - Admin only
+router.get('/exchange-rates', protect, authorize('admin'), async (req, res) => {
+  try {
+    const provider = activeProvider();
+    const snapshot = provider && await latestSnapshot(provider);
+    const maxAge = parseInt(process.env.EXCHANGE_RATE_MAX_AGE, 10) || provider?.maxAge;
+    
+    res.json({
+      success: true,
+      provider: provider?.name || process.env.EXCHANGE_RATE_PROVIDER,
+      snapshot,
+      stale: !snapshot || Date.now() - snapshot.fetchedAt.getTime() > maxAge
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/exchange-rates
+// @desc    Set manual exchange rates (used when EXCHANGE_RATE_PROVIDER=manual)
+// @access  Protected - Admin only
+router.put('/exchange-rates', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { rates } = req.body;
+    const base = req.body.base === undefined ? 'USD' : String(req.body.base).toUpperCase();
+    
+    if (!(await isSupportedCurrency(base))) {
+      return res.status(400).json({
+        success: false,
+        message: `${base} is not a supported currency`
+      });
+    }
+    
+    const entries = Object.entries(rates || {});
+    
+    if (entries.length === 0 || entries.some(([currency, rate]) =>
+      !/^[A-Z]{3}$/.test(currency) || !(typeof rate === 'number' && rate > 0)
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rates must map 3-letter currency codes to positive numbers'
+      });
+    }
+    
+    const snapshot = await setManualRates(rates, { base, adminId: req.user.id });
+    
+    res.json({
+      success: true,
+      message: 'Manual exchange rates saved',
+      snapshot
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/exchange-rates/refresh
+// @desc    Refresh exchange rates from the provider now
+// @access  Protected - Admin only
+router.post('/exchange-rates/refresh', protect, authorize('admin'), async (req, res) => {
+  try {
+    await updateExchangeRates();
+    
+    const provider = activeProvider();
+    const snapshot = provider && await latestSnapshot(provider);
+    
+    res.json({
+      success: true,
+      snapshot
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/currencies
+// @desc    Get the configured currency list, including disabled currencies
+// @access  Protected - Admin only
+router.get('/currencies', protect, authorize('admin'), async (req, res) => {
+  try {
+    const currencies = await Currency.find().sort({ code: 1 });
+    
+    res.json({
+      success: true,
+      // Until the list is configured, the defaults are accepted
+      currencies: currencies.length > 0
+        ? currencies
+        : DEFAULT_CURRENCIES.map(code => ({ code, isActive: true })),
+      configured: currencies.length > 0
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/currencies/:code
+// @desc    Add, update, enable or disable a supported currency
+// @access  Protected - Admin only
+router.put('/currencies/:code', protect, authorize('admin'), async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    const { name, symbol, minimumPayout, isActive } = req.body;
+    
+    if (!isCurrencyCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: `${code} is not an ISO 4217 currency code`
+      });
+    }
+    
+    if (minimumPayout != null && !(parseFloat(minimumPayout) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minimum payout must be a positive amount'
+      });
+    }
+    
+    // The first change turns the default list into a configured one
+    if (await Currency.countDocuments() === 0) {
+      await Currency.insertMany(DEFAULT_CURRENCIES.map(defaultCode => ({ code: defaultCode })));
+    }
+    
+    const currency = await Currency.findOne({ code }) || new Currency({ code });
+    
+    if (name !== undefined) currency.name = name;
+    if (symbol !== undefined) currency.symbol = symbol;
+    if (minimumPayout !== undefined) {
+      currency.minimumPayout = minimumPayout == null
+        ? undefined
+        : roundAmount(parseFloat(minimumPayout), code);
+    }
+    if (isActive !== undefined) currency.isActive = isActive;
+    await currency.save();
+    
+    clearCurrencyCache();
+    
+    res.json({
+      success: true,
+      message: 'Currency saved',
+      currency: { ...currency.toObject(), minorUnits: minorUnits(code) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/tax-rules
+// @desc    Get tax rules by destination country
+// @access  Protected - Admin only
+router.get('/tax-rules', protect, authorize('admin'), async (req, res) => {
+  try {
+    const rules = await TaxRule.find().sort({ country: 1 });
+    
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/tax-rules/:country
+// @desc    Create or update the tax rule for a country
+// @access  Protected - Admin only
+router.put('/tax-rules/:country', protect, authorize('admin'), async (req, res) => {
+  try {
+    const country = req.params.country.toUpperCase();
+    const { countryName, aliases, name, rate, categoryRates, taxShipping, isActive } = req.body;
+    
+    const isRate = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+    const categories = Product.schema.path('category').enumValues;
+    
+    if (!/^[A-Z]{2}$/.test(country)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Country must be a 2-letter ISO country code'
+      });
+    }
+    
+    if (rate !== undefined && !isRate(rate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tax rate must be a percentage between 0 and 100'
+      });
+    }
+    
+    if (categoryRates !== undefined && (!Array.isArray(categoryRates) || categoryRates.some(entry =>
+      !categories.includes(entry.category) || !isRate(entry.rate)
+    ))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category rates need a valid product category and a rate between 0 and 100'
+      });
+    }
+    
+    const rule = await TaxRule.findOne({ country }) || new TaxRule({ country });
+    
+    if (rule.isNew && rate === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tax rate is required'
+      });
+    }
+    
+    if (countryName !== undefined) rule.countryName = countryName;
+    if (aliases !== undefined) rule.aliases = aliases;
+    if (name !== undefined) rule.name = name;
+    if (rate !== undefined) rule.rate = rate;
+    if (categoryRates !== undefined) rule.categoryRates = categoryRates;
+    if (taxShipping !== undefined) rule.taxShipping = taxShipping;
+    if (isActive !== undefined) rule.isActive = isActive;
+    await rule.save();
+    
+    res.json({
+      success: true,
+      message: 'Tax rule saved',
+      rule
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/tax/summary
+// @desc    Tax collected and refunded by jurisdiction and period
+//          (?from=&to= dates, ?period=month|quarter|year, ?country=GB)
+// @access  Protected - Admin only
+router.get('/tax/summary', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { from, to, period = 'month', country } = req.query;
+    
+    if (!['month', 'quarter', 'year'].includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be one of month, quarter, year'
+      });
+    }
+    
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dates must be valid ISO dates'
+      });
+    }
+    
+    // Tax is reported on sub-orders (one per seller) once they are paid
+    const match = {
+      parentOrderId: { $ne: null },
+      'payment.paidAt': { $ne: null },
+      'tax.amount': { $gt: 0 }
+    };
+    if (fromDate) match['payment.paidAt'].$gte = fromDate;
+    if (toDate) match['payment.paidAt'].$lte = toDate;
+    if (country) match['tax.country'] = country.toUpperCase();
+    
+    const periodKey = {
+      year: { $year: '$payment.paidAt' }
+    };
+    if (period === 'month') periodKey.month = { $month: '$payment.paidAt' };
+    if (period === 'quarter') {
+      periodKey.quarter = { $ceil: { $divide: [{ $month: '$payment.paidAt' }, 3] } };
+    }
+    
+    const rows = await Order.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: {
+            country: '$tax.country',
+            name: '$tax.name',
+            currency: '$payment.currency',
+            period: periodKey
+          },
+          orders: { $addToSet: '$_id' },
+          sales: {
+            $sum: {
+              $subtract: ['$items.subtotal', { $ifNull: ['$items.discount.amount', 0] }]
+            }
+          },
+          collected: { $sum: { $ifNull: ['$items.tax.amount', 0] } },
+          refunded: { $sum: { $ifNull: ['$items.tax.refunded', 0] } }
+        }
+      },
+      { $sort: { '_id.period': 1, '_id.country': 1 } }
+    ]);
+    
+    const summary = rows.map(row => ({
+      country: row._id.country,
+      name: row._id.name,
+      currency: row._id.currency,
+      period: row._id.period,
+      orders: row.orders.length,
+      netSales: roundAmount(row.sales, row._id.currency),
+      collected: roundAmount(row.collected, row._id.currency),
+      refunded: roundAmount(row.refunded, row._id.currency),
+      net: roundAmount(row.collected - row.refunded, row._id.currency)
+    }));
+    
+    res.json({
+      success: true,
+      summary
     });
   } catch (error) {
     res.status(500).json({
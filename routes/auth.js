@@ -10,8 +10,7 @@ const { getLocationFromIP } = require('../utils/geolocation');
 const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 const bcrypt = require('bcryptjs');
-const axios = require('axios');
-const qs = require('querystring');
+const { sendEmail } = require('../utils/email');
 
 
 // Generate JWT Token
@@ -425,43 +424,13 @@ await mongoose.connection.collection(collection).updateOne(
 
 async function sendResetEmail(toEmail, resetLink) {
   try {
-    const tokenResponse = await axios.post(
-      'https://accounts.zoho.com/oauth/v2/token',
-      qs.stringify({
-        refresh_token: process.env.ZOHO_REFRESH_TOKEN,
-        client_id: process.env.ZOHO_CLIENT_ID,
-        client_secret: process.env.ZOHO_CLIENT_SECRET,
-        grant_type: 'refresh_token'
-      }),
-      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
-    );
-
-    const accessToken = tokenResponse.data.access_token;
-
-    // Get account ID first
-    const accountsRes = await axios.get('https://mail.zoho.com/api/accounts', {
-      headers: { Authorization: `Zoho-oauthtoken ${accessToken}` }
+    const sent = await sendEmail({
+      to: toEmail,
+      subject: 'Supamart Password Reset',
+      html: `<p>Click <a href="${resetLink}">here</a> to reset your password. This link expires in 1 hour.</p>`
     });
 
-    const accountId = accountsRes.data.data[0].accountId;
-
-    await axios.post(
-      `https://mail.zoho.com/api/accounts/${accountId}/messages`,
-      {
-        fromAddress: process.env.ZOHO_EMAIL,
-        toAddress: toEmail,
-        subject: 'Supamart Password Reset',
-        content: `<p>Click <a href="${resetLink}">here</a> to reset your password. This link expires in 1 hour.</p>`
-      },
-      {
-        headers: {
-          Authorization: `Zoho-oauthtoken ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    console.log(`✅ Reset email sent to ${toEmail}`);
+    if (sent) console.log(`✅ Reset email sent to ${toEmail}`);
   } catch (err) {
     console.error('Error sending email via Zoho API:', err.response?.data || err.message);
   }
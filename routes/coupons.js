@@ -0,0 +1,283 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Coupon = require('../models/Coupon');
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const { protect, authorize } = require('../middleware/auth');
+const { isSupportedCurrency } = require('../utils/currency');
+const { pageOptions, queryList, paginate } = require('../utils/pagination');
+
+const CATEGORIES = Product.schema.path('category').enumValues;
+
+// Fields an admin or seller can set on a coupon
+const EDITABLE_FIELDS = [
+  'description', 'type', 'value', 'currency', 'maxDiscount', 'minOrderValue',
+  'scope', 'category', 'productIds', 'startsAt', 'endsAt', 'usageLimit',
+  'perBuyerLimit', 'isActive'
+];
+
+// Can the logged in account manage this coupon?
+const canManage = (coupon, user) =>
+  user.role === 'admin' || (coupon.sellerId && coupon.sellerId.toString() === user.id);
+
+// Check a coupon after changes are applied. Returns an error message, or
+// null if it is valid.
+async function validateCoupon(coupon, user) {
+  if (!['percentage', 'fixed'].includes(coupon.type)) {
+    return 'Type must be one of percentage, fixed';
+  }
+
+  if (!(coupon.value > 0) || (coupon.type === 'percentage' && coupon.value > 100)) {
+    return coupon.type === 'percentage'
+      ? 'Percentage discounts must be between 0 and 100'
+      : 'Discount amount must be greater than 0';
+  }
+
+  if (!(await isSupportedCurrency(coupon.currency))) {
+    return `${coupon.currency} is not a supported currency`;
+  }
+
+  if (coupon.startsAt && coupon.endsAt && coupon.endsAt <= coupon.startsAt) {
+    return 'End date must be after the start date';
+  }
+
+  for (const field of ['usageLimit', 'perBuyerLimit']) {
+    if (coupon[field] != null && !(Number.isInteger(coupon[field]) && coupon[field] > 0)) {
+      return `${field} must be a whole number greater than 0`;
+    }
+  }
+
+  if (!['platform', 'seller'].includes(coupon.fundedBy)) {
+    return 'fundedBy must be one of platform, seller';
+  }
+
+  // A seller-funded coupon is paid for by one seller, and only covers their
+  // products
+  if (coupon.fundedBy === 'seller' &&
+      (!coupon.sellerId || !(await Seller.exists({ _id: coupon.sellerId })))) {
+    return 'Seller-funded coupons need the seller who pays for them';
+  }
+
+  switch (coupon.scope) {
+    case 'platform':
+      if (user.role !== 'admin') return 'Only admins can create platform-wide coupons';
+      break;
+    case 'seller':
+      if (!coupon.sellerId || !(await Seller.exists({ _id: coupon.sellerId }))) {
+        return 'Seller not found';
+      }
+      break;
+    case 'category':
+      if (!CATEGORIES.includes(coupon.category)) return 'Please provide a valid product category';
+      break;
+    case 'products': {
+      if (coupon.productIds.length === 0) return 'Please choose the products the coupon applies to';
+
+      const query = { _id: { $in: coupon.productIds } };
+      if (coupon.sellerId) query.sellerId = coupon.sellerId;
+
+      if (await Product.countDocuments(query) !== coupon.productIds.length) {
+        return coupon.sellerId ? 'Coupons can only cover your own products' : 'Product not found';
+      }
+      break;
+    }
+    default:
+      return 'Scope must be one of platform, seller, category, products';
+  }
+
+  return null;
+}
+
+// Copy editable fields from the request body onto a coupon
+function applyFields(coupon, body) {
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      coupon[field] = body[field];
+    }
+  }
+}
+
+// @route   POST /api/coupons
+// @desc    Create a coupon. Sellers create seller-funded coupons for their
+//          own products; admins can create any coupon.
+// @access  Protected - Seller, Admin
+router.post('/', protect, authorize('seller', 'admin'), async (req, res) => {
+  try {
+    const { code, sellerId, fundedBy } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code is required'
+      });
+    }
+
+    if (await Coupon.exists({ code: String(code).trim().toUpperCase() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    const coupon = new Coupon({
+      code,
+      createdBy: { role: req.user.role, id: req.user.id }
+    });
+    applyFields(coupon, req.body);
+
+    if (req.user.role === 'seller') {
+      // Sellers always pay for their own coupons
+      coupon.sellerId = req.user.id;
+      coupon.fundedBy = 'seller';
+    } else {
+      if (sellerId) coupon.sellerId = sellerId;
+      coupon.fundedBy = fundedBy || 'platform';
+    }
+
+    const error = await validateCoupon(coupon, req.user);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created',
+      coupon
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/coupons
+// @desc    Get coupons (sellers see their own), newest first (?cursor= or
+//          ?page=, limit up to 100)
+// @access  Protected - Seller, Admin
+router.get('/', protect, authorize('seller', 'admin'), async (req, res) => {
+  try {
+    const { active } = req.query;
+    const scopes = queryList(req.query.scope);
+
+    let query = {};
+    if (req.user.role === 'seller') {
+      query.sellerId = req.user.id;
+    } else if (req.query.sellerId && mongoose.isValidObjectId(req.query.sellerId)) {
+      query.sellerId = req.query.sellerId;
+    }
+
+    if (scopes.length > 0) query.scope = { $in: scopes };
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const { items: coupons, paging } = await paginate(Coupon, query, pageOptions(req.query));
+
+    res.json({
+      success: true,
+      coupons,
+      ...paging
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon
+// @access  Protected - Seller (own coupons), Admin
+router.put('/:id', protect, authorize('seller', 'admin'), async (req, res) => {
+  try {
+    const coupon = mongoose.isValidObjectId(req.params.id) && await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (!canManage(coupon, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    applyFields(coupon, req.body);
+
+    if (req.user.role === 'admin' && req.body.fundedBy !== undefined) {
+      coupon.fundedBy = req.body.fundedBy;
+    }
+
+    const error = await validateCoupon(coupon, req.user);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated',
+      coupon
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/coupons/:id
+// @desc    Deactivate a coupon (orders keep referring to it)
+// @access  Protected - Seller (own coupons), Admin
+router.delete('/:id', protect, authorize('seller', 'admin'), async (req, res) => {
+  try {
+    const coupon = mongoose.isValidObjectId(req.params.id) && await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (!canManage(coupon, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    coupon.isActive = false;
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon deactivated'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
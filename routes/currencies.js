@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { getSupportedCurrencies } = require('../utils/currency');
+
+// @route   GET /api/currencies
+// @desc    Get the currencies accepted for prices, payments and payouts
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const currencies = await getSupportedCurrencies();
+    
+    res.json({
+      success: true,
+      currencies: currencies.map(({ code, name, symbol, minorUnits }) => ({
+        code,
+        name,
+        symbol,
+        minorUnits
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,415 @@
+const express = require('express');
+const router = express.Router();
+const Dispute = require('../models/Dispute');
+const Order = require('../models/Order');
+const { protect, authorize } = require('../middleware/auth');
+const { uploadIf, deleteImages } = require('../config/cloudinary');
+const { settleItems, heldAmount, paidAmount } = require('../utils/escrow');
+const { roundAmount } = require('../utils/iso4217');
+const { withTransaction } = require('../utils/dbSession');
+const { pageOptions, queryList, paginate } = require('../utils/pagination');
+
+// Disputes can be opened once an order has left the seller
+const DISPUTABLE_SHIPPING_STATUSES = ['shipped', 'in_transit', 'delivered'];
+
+const DISPUTE_REASONS = Dispute.schema.path('reason').enumValues;
+
+// Map uploaded evidence files to { url, publicId }
+const toEvidence = (files) => (files || []).map(file => ({
+  url: file.path,
+  publicId: file.filename
+}));
+
+// Why a new dispute's details are invalid, if they are
+const openError = ({ reason, description } = {}) => {
+  if (!reason || !description) return 'Reason and description are required';
+  if (!DISPUTE_REASONS.includes(reason)) return `Reason must be one of ${DISPUTE_REASONS.join(', ')}`;
+  return null;
+};
+
+// Why a seller response is invalid, if it is
+const respondError = ({ message } = {}) => (message ? null : 'Response message is required');
+
+// Evidence is only uploaded for requests whose fields are valid
+const uploadEvidence = (check) => uploadIf(req => !check(req.body)).array('evidence', 5);
+
+// Respond with an error, deleting any evidence uploaded with the request
+const reject = async (req, res, status, message) => {
+  await deleteImages(toEvidence(req.files).map(file => file.publicId));
+  return res.status(status).json({
+    success: false,
+    message
+  });
+};
+
+// Can the logged in account see this dispute?
+const canAccess = (dispute, user) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'seller') {
+    return dispute.sellerIds.some(id => id.toString() === user.id);
+  }
+  return dispute.buyerId.toString() === user.id;
+};
+
+// @route   POST /api/disputes
+// @desc    Open a dispute on an order or line item (freezes escrow)
+// @access  Protected - User
+router.post('/', protect, authorize('user'), uploadEvidence(openError), async (req, res) => {
+  try {
+    const { orderId, itemId, reason, description } = req.body;
+    const invalid = openError(req.body);
+
+    if (invalid) {
+      return reject(req, res, 400, invalid);
+    }
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return reject(req, res, 404, 'Order not found');
+    }
+
+    if (order.buyer.userId.toString() !== req.user.id) {
+      return reject(req, res, 403, 'Not authorized');
+    }
+
+    if (order.escrow.status !== 'held' || !DISPUTABLE_SHIPPING_STATUSES.includes(order.shipping.status)) {
+      return reject(req, res, 400, 'This order cannot be disputed');
+    }
+
+    // Dispute one item, or every item still held in escrow
+    const items = order.items.filter(item =>
+      item.status === 'active' && (!itemId || item._id.toString() === itemId)
+    );
+
+    if (items.length === 0) {
+      return reject(req, res, 400, 'No disputable items found');
+    }
+
+    const itemIds = items.map(item => item._id);
+
+    // Freeze escrow first, so the auto-release job skips this order. The
+    // update only matches while escrow is still held, and as a write to the
+    // order it makes concurrent disputes on the same order run one at a time,
+    // so the open-dispute check below can't race.
+    const opened = await withTransaction(async (session) => {
+      const frozen = await Order.findOneAndUpdate(
+        {
+          _id: order._id,
+          'escrow.status': 'held',
+          'shipping.status': { $in: DISPUTABLE_SHIPPING_STATUSES }
+        },
+        { $set: { 'escrow.frozen': true, updatedAt: new Date() } },
+        { session }
+      );
+
+      if (!frozen) {
+        return { error: 'This order cannot be disputed' };
+      }
+
+      const existing = await Dispute.findOne({
+        orderId: order._id,
+        itemIds: { $in: itemIds },
+        status: { $ne: 'resolved' }
+      }).session(session);
+
+      // The order is already frozen for the open dispute
+      if (existing) {
+        return { error: 'A dispute is already open for this order' };
+      }
+
+      const [dispute] = await Dispute.create([{
+        orderId: order._id,
+        itemIds,
+        buyerId: req.user.id,
+        sellerIds: [...new Set(items.map(item => item.sellerId.toString()))],
+        reason,
+        description,
+        evidence: toEvidence(req.files)
+      }], { session });
+
+      return { dispute };
+    });
+
+    if (opened.error) {
+      return reject(req, res, 400, opened.error);
+    }
+
+    const { dispute } = opened;
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute opened. Escrow has been frozen until it is resolved.',
+      dispute
+    });
+  } catch (error) {
+    await deleteImages(toEvidence(req.files).map(file => file.publicId));
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/disputes
+// @desc    Get disputes for the logged in buyer, seller or admin, newest
+//          first (?cursor= or ?page=, limit up to 100)
+// @access  Protected
+router.get('/', protect, async (req, res) => {
+  try {
+    const statuses = queryList(req.query.status);
+
+    let query = {};
+    if (req.user.role === 'seller') {
+      query.sellerIds = req.user.id;
+    } else if (req.user.role !== 'admin') {
+      query.buyerId = req.user.id;
+    }
+
+    if (statuses.length > 0) {
+      query.status = { $in: statuses };
+    }
+
+    const { items: disputes, paging } = await paginate(Dispute, query, {
+      ...pageOptions(req.query),
+      build: (find) => find.populate('orderId', 'orderNumber payment.currency')
+    });
+
+    res.json({
+      success: true,
+      disputes,
+      ...paging
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/disputes/:id
+// @desc    Get single dispute
+// @access  Protected
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id)
+      .populate('orderId')
+      .populate('sellerIds', 'storeName shopURL');
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    const sellerIds = dispute.sellerIds.map(seller => seller._id);
+    if (!canAccess({ buyerId: dispute.buyerId, sellerIds }, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    res.json({
+      success: true,
+      dispute
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/disputes/:id/respond
+// @desc    Seller response to a dispute
+// @access  Protected - Seller
+router.put('/:id/respond', protect, authorize('seller'), uploadEvidence(respondError), async (req, res) => {
+  try {
+    const { message } = req.body;
+    const invalid = respondError(req.body);
+
+    if (invalid) {
+      return reject(req, res, 400, invalid);
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return reject(req, res, 404, 'Dispute not found');
+    }
+
+    if (!canAccess(dispute, req.user)) {
+      return reject(req, res, 403, 'Not authorized');
+    }
+
+    if (dispute.status === 'resolved') {
+      return reject(req, res, 400, 'Dispute has already been resolved');
+    }
+
+    dispute.sellerResponse = {
+      message,
+      evidence: toEvidence(req.files),
+      respondedAt: Date.now()
+    };
+    dispute.status = 'seller_responded';
+    await dispute.save();
+
+    res.json({
+      success: true,
+      message: 'Response submitted',
+      dispute
+    });
+  } catch (error) {
+    await deleteImages(toEvidence(req.files).map(file => file.publicId));
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/disputes/:id/resolve
+// @desc    Resolve a dispute with a full refund, partial refund or release
+// @access  Protected - Admin only
+router.put('/:id/resolve', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { resolution, refundAmount, note } = req.body;
+
+    if (!['full_refund', 'partial_refund', 'release'].includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Resolution must be one of full_refund, partial_refund, release'
+      });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute || dispute.status === 'resolved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Dispute not found or already resolved'
+      });
+    }
+
+    const order = await Order.findById(dispute.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Disputed order not found'
+      });
+    }
+
+    const items = order.items.filter(item =>
+      item.status === 'active' && dispute.itemIds.some(id => id.equals(item._id))
+    );
+
+    if (items.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'The disputed items have already been settled'
+      });
+    }
+
+    const currency = order.payment.currency;
+    // What the buyer paid for the disputed items
+    const total = roundAmount(items.reduce((sum, item) => sum + paidAmount(item), 0), currency);
+    const amount = roundAmount(parseFloat(refundAmount), currency);
+
+    if (resolution === 'partial_refund' && !(amount > 0 && amount < total)) {
+      return res.status(400).json({
+        success: false,
+        message: `Partial refund must be between 0 and ${total} ${order.payment.currency}`
+      });
+    }
+
+    // Work out how much of each item goes back to the buyer. Partial refunds
+    // are split across items in proportion to what the buyer paid for them.
+    let remaining = amount;
+    const settlements = items.map((item, index) => {
+      let refund = 0;
+      if (resolution === 'full_refund') {
+        refund = heldAmount(item);
+      } else if (resolution === 'partial_refund') {
+        refund = index === items.length - 1
+          ? remaining
+          : roundAmount(amount * paidAmount(item) / total, currency);
+        remaining = roundAmount(remaining - refund, currency);
+      }
+      return { itemId: item._id, refund };
+    });
+
+    // Resolve the dispute and settle its items in one transaction: if the
+    // settlement fails the dispute stays open, and it can only be resolved once
+    const result = await withTransaction(async (session) => {
+      const claimed = await Dispute.findOneAndUpdate(
+        { _id: dispute._id, status: { $ne: 'resolved' } },
+        { $set: { status: 'resolved', updatedAt: Date.now() } },
+        { session }
+      );
+
+      if (!claimed) return null;
+
+      const settled = await settleItems(order._id, settlements, {
+        by: { role: 'admin', id: req.user.id },
+        reason: `Dispute resolved: ${resolution}${note ? ` - ${note}` : ''}`,
+        session
+      });
+
+      const refunded = settled.settledItems.reduce((sum, item) => sum + item.refund, 0);
+
+      const resolved = await Dispute.findByIdAndUpdate(
+        dispute._id,
+        {
+          $set: {
+            resolution: {
+              type: resolution,
+              refundAmount: roundAmount(refunded, currency),
+              currency,
+              note,
+              resolvedBy: req.user.id,
+              resolvedAt: Date.now()
+            }
+          }
+        },
+        { new: true, session }
+      );
+
+      // Unfreeze escrow once no other dispute on the order is pending
+      const stillOpen = await Dispute.exists({
+        orderId: order._id,
+        status: { $ne: 'resolved' }
+      }).session(session);
+      if (!stillOpen) {
+        await Order.updateOne({ _id: order._id }, { $set: { 'escrow.frozen': false } }, { session });
+      }
+
+      return { dispute: resolved, order: settled.order };
+    });
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dispute not found or already resolved'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dispute resolved',
+      dispute: result.dispute,
+      order: result.order
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,112 +1,177 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Order = require('../models/Order');
-const Product = require('../models/Product');
 const Seller = require('../models/Seller');
-const Transaction = require('../models/Transaction');
 const { protect } = require('../middleware/auth');
-const { convertPrice } = require('../utils/currency');
+const { idempotent } = require('../middleware/idempotency');
+const { quoteCheckout, createCheckout } = require('../utils/checkout');
+const { releaseEscrow, cancelOrderItems, CANCELLABLE_SHIPPING_STATUSES } = require('../utils/escrow');
+const { voidCheckout } = require('../utils/payments');
+const { pageOptions, queryList, paginate } = require('../utils/pagination');
+const {
+  ensureInvoice,
+  renderReceipt,
+  renderInvoice,
+  receiptFilename,
+  invoiceFilename
+} = require('../utils/invoices');
+
+// Send a generated PDF as a download
+const sendPDF = (res, filename, buffer) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.send(buffer);
+};
+
+// @route   POST /api/orders/quote
+// @desc    Price a cart (items, shipping per seller, total) before ordering
+// @access  Protected - User
+router.post('/quote', protect, async (req, res) => {
+  try {
+    const { items, shippingAddress, paymentCurrency, couponCode } = req.body;
+    
+    const quote = await quoteCheckout({
+      buyerId: req.user.id,
+      items,
+      shippingAddress,
+      paymentCurrency,
+      couponCode
+    });
+    
+    res.json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
 
 // @route   POST /api/orders
-// @desc    Create new order (with escrow)
+// @desc    Create new order (with escrow). Supports Idempotency-Key header
 // @access  Protected - User
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, idempotent, async (req, res) => {
   try {
-    const { items, shippingAddress, paymentMethod, paymentCurrency } = req.body;
+    const { items, shippingAddress, paymentMethod, paymentCurrency, couponCode } = req.body;
     
-    // Calculate total and create order items
-    let orderItems = [];
-    let total = 0;
+    const { order, subOrders } = await createCheckout({
+      user: req.user,
+      items,
+      shippingAddress,
+      paymentMethod,
+      paymentCurrency,
+      couponCode
+    });
     
-    for (const item of items) {
-      const product = await Product.findById(item.productId);
-      
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product not found: ${item.productId}`
-        });
-      }
-      
-      if (product.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.name}`
-        });
-      }
-      
-      // Convert price to payment currency
-      const convertedPrice = convertPrice(
-        product.price.amount,
-        product.price.currency,
-        paymentCurrency
-      );
-      
-      const subtotal = convertedPrice * item.quantity;
-      
-      orderItems.push({
-        productId: product._id,
-        sellerId: product.sellerId,
-        name: product.name,
-        price: {
-          amount: convertedPrice,
-          currency: paymentCurrency
-        },
-        quantity: item.quantity,
-        subtotal
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully. Complete payment to confirm it.',
+      order: { ...order.toObject(), subOrders }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/orders
+// @desc    Get logged in buyer's orders (filter by status, shippingStatus),
+//          newest first (?cursor= or ?page=, limit up to 100)
+// @access  Protected - User
+router.get('/', protect, async (req, res) => {
+  try {
+    const statuses = queryList(req.query.status);
+    const shippingStatuses = queryList(req.query.shippingStatus);
+    
+    // List checkouts (parent orders) rather than their per-seller sub-orders
+    let query = {
+      'buyer.userId': req.user.id,
+      parentOrderId: { $exists: false }
+    };
+    
+    // Comma separated lists are allowed, e.g. ?status=pending,processing
+    let filters = {};
+    if (statuses.length > 0) {
+      filters.status = { $in: statuses };
+    }
+    
+    if (shippingStatuses.length > 0) {
+      filters['shipping.status'] = { $in: shippingStatuses };
+    }
+    
+    // Filters apply to sub-orders; return checkouts containing a match
+    if (Object.keys(filters).length > 0) {
+      const parentIds = await Order.distinct('parentOrderId', {
+        'buyer.userId': req.user.id,
+        parentOrderId: { $exists: true },
+        ...filters
       });
       
-      total += subtotal;
-      
-      // Reduce stock
-      product.stock -= item.quantity;
-      await product.save();
-    }
-    
-    // Create order
-    const order = await Order.create({
-      buyer: {
-        userId: req.user.id,
-        name: req.user.fullName,
-        email: req.user.email,
-        phone: req.user.phoneNumber
-      },
-      items: orderItems,
-      shippingAddress,
-      payment: {
-        method: paymentMethod,
-        currency: paymentCurrency,
-        amount: total,
-        status: 'processing'
-      },
-      escrow: {
-        status: 'held',
-        heldAt: Date.now(),
-        releaseScheduledFor: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000) // 14 days
-      }
-    });
-    
-    // Create transactions for each seller (held in escrow)
-    for (const item of orderItems) {
-      await Transaction.create({
-        orderId: order._id,
-        sellerId: item.sellerId,
-        type: 'escrow_hold',
-        amount: item.subtotal,
-        currency: paymentCurrency,
-        status: 'pending',
-        description: `Payment held in escrow for order ${order.orderNumber}`
+      query.$or = [
+        { _id: { $in: parentIds } },
+        { 'subOrders.0': { $exists: false }, ...filters }
+      ];
+    }
+    
+    const { items: orders, paging } = await paginate(Order, query, {
+      ...pageOptions(req.query),
+      build: (find) => find
+        .populate('items.sellerId', 'storeName storeLogo shopURL')
+        .populate({
+          path: 'subOrders',
+          populate: { path: 'items.sellerId', select: 'storeName storeLogo shopURL' }
+        })
+    });
+    
+    res.json({
+      success: true,
+      orders,
+      ...paging
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/orders/:id
+// @desc    Get single order with seller, shipping and escrow details
+// @access  Protected - User
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      'buyer.userId': req.user.id
+    })
+      .populate('items.sellerId', 'storeName storeLogo shopURL')
+      .populate('items.productId', 'images')
+      .populate({
+        path: 'subOrders',
+        populate: [
+          { path: 'items.sellerId', select: 'storeName storeLogo shopURL' },
+          { path: 'items.productId', select: 'images' }
+        ]
+      });
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
       });
-      
-      // Update seller's pending balance
-      const seller = await Seller.findById(item.sellerId);
-      seller.wallets[paymentCurrency].pendingBalance += item.subtotal;
-      await seller.save();
     }
     
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Order created successfully. Payment held in escrow.',
       order
     });
   } catch (error) {
@@ -117,6 +182,106 @@ router.post('/', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/orders/:id/receipt
+// @desc    Download the buyer's PDF receipt for a checkout (a sub-order id
+//          gets the receipt for its whole checkout)
+// @access  Protected - User (buyer), Admin
+router.get('/:id/receipt', protect, async (req, res) => {
+  try {
+    let order = await Order.findById(req.params.id);
+    
+    if (order && order.parentOrderId) {
+      order = await Order.findById(order.parentOrderId);
+    }
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    if (req.user.role !== 'admin' && order.buyer.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+    
+    const subOrders = await Order.find({ parentOrderId: order._id })
+      .populate('items.sellerId', 'storeName');
+    
+    sendPDF(res, receiptFilename(order), await renderReceipt(order, subOrders));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/orders/:id/invoice
+// @desc    Download the seller's PDF invoice for a paid sub-order
+// @access  Protected - User (buyer), Seller (own orders), Admin
+router.get('/:id/invoice', protect, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    const allowed = req.user.role === 'admin' ||
+      (req.user.role === 'seller' && order.sellerId && order.sellerId.toString() === req.user.id) ||
+      (req.user.role !== 'seller' && order.buyer.userId.toString() === req.user.id);
+    
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+    
+    // Invoices are issued per seller, so only sub-orders have one
+    if (!order.sellerId) {
+      return res.status(400).json({
+        success: false,
+        message: order.subOrders.length > 0
+          ? 'Please download the invoice for each seller\'s sub-order'
+          : 'This order has no invoice, please download its receipt instead'
+      });
+    }
+    
+    const invoiced = await ensureInvoice(order._id);
+    
+    if (!invoiced.invoice || !invoiced.invoice.number) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invoice is issued once the order is paid'
+      });
+    }
+    
+    const seller = await Seller.findById(invoiced.sellerId);
+    
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller not found'
+      });
+    }
+    
+    sendPDF(res, invoiceFilename(invoiced), await renderInvoice(invoiced, seller));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @route   PUT /api/orders/:orderId/confirm-delivery
 // @desc    Confirm delivery (releases escrow)
 // @access  Protected - User
@@ -138,44 +303,140 @@ router.put('/:orderId/confirm-delivery', protect, async (req, res) => {
       });
     }
     
-    // Update order status
-    order.deliveryConfirmed = true;
-    order.deliveryConfirmedBy = 'buyer';
-    order.deliveryConfirmedAt = Date.now();
-    order.status = 'completed';
-    order.escrow.status = 'released';
-    order.escrow.releasedAt = Date.now();
-    await order.save();
-    
-    // Release funds to sellers
-    for (const item of order.items) {
-      // Update transaction
-      await Transaction.create({
-        orderId: order._id,
-        sellerId: item.sellerId,
-        type: 'escrow_release',
-        amount: item.subtotal,
-        currency: order.payment.currency,
-        status: 'completed',
-        description: `Payment released from escrow for order ${order.orderNumber}`
+    // Each seller's package is confirmed separately; a checkout from a single
+    // seller confirms its only sub-order
+    if (order.subOrders.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please confirm delivery for each seller\'s sub-order'
+      });
+    }
+    
+    const releasedOrder = await releaseEscrow(order.subOrders[0] || order._id, {
+      confirmedBy: 'buyer',
+      by: { role: 'buyer', id: req.user.id },
+      reason: 'Buyer confirmed delivery'
+    });
+    
+    if (!releasedOrder) {
+      return res.status(400).json({
+        success: false,
+        message: 'Escrow for this order cannot be released'
       });
-      
-      // Update seller's wallet
-      const seller = await Seller.findById(item.sellerId);
-      const currency = order.payment.currency;
-      seller.wallets[currency].pendingBalance -= item.subtotal;
-      seller.wallets[currency].balance += item.subtotal;
-      seller.wallets[currency].totalEarnings += item.subtotal;
-      await seller.save();
     }
     
     res.json({
       success: true,
       message: 'Delivery confirmed. Funds released to sellers.',
-      order
+      order: order.subOrders.length > 0
+        ? await Order.findById(order._id).populate('subOrders')
+        : releasedOrder
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/orders/:orderId/cancel
+// @desc    Cancel an order (or some of its items) before it ships
+// @access  Protected - User
+router.put('/:orderId/cancel', protect, async (req, res) => {
+  try {
+    const { itemIds, reason } = req.body;
+    
+    if (itemIds !== undefined && !(Array.isArray(itemIds) && itemIds.every(id => mongoose.isValidObjectId(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'itemIds must be a list of item IDs'
+      });
+    }
+    
+    const order = await Order.findById(req.params.orderId);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    if (order.buyer.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+    
+    // Nothing has been paid yet, so just void the whole checkout
+    if (order.subOrders.length > 0 && order.payment.status === 'pending') {
+      await voidCheckout(order._id, {
+        by: { role: 'buyer', id: req.user.id },
+        reason: reason || 'Cancelled by buyer before payment'
+      });
+      
+      const voidedOrder = await Order.findById(order._id).populate('subOrders');
+      
+      return res.json({
+        success: true,
+        message: 'Order cancelled.',
+        order: voidedOrder
+      });
+    }
+    
+    // Cancelling a checkout cancels whatever its sub-orders still allow
+    const targets = order.subOrders.length > 0
+      ? await Order.find({ _id: { $in: order.subOrders } })
+      : [order];
+    
+    const cancellable = targets.filter(target =>
+      CANCELLABLE_SHIPPING_STATUSES.includes(target.shipping.status) && target.escrow.status === 'held'
+    );
+    
+    if (cancellable.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order can no longer be cancelled'
+      });
+    }
+    
+    let cancelledCount = 0;
+    
+    for (const target of cancellable) {
+      // Cancel the whole order unless specific items are given
+      const activeItems = target.items.filter(item => item.status === 'active');
+      const toCancel = itemIds && itemIds.length
+        ? activeItems.filter(item => itemIds.includes(item._id.toString()))
+        : activeItems;
+      
+      if (toCancel.length === 0) continue;
+      
+      const result = await cancelOrderItems(
+        target._id,
+        toCancel.map(item => item._id),
+        { cancelledBy: 'buyer', actorId: req.user.id, reason }
+      );
+      cancelledCount += result.cancelledItems.length;
+    }
+    
+    if (cancelledCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No cancellable items found'
+      });
+    }
+    
+    const updatedOrder = await Order.findById(order._id).populate('subOrders');
+    
+    res.json({
+      success: true,
+      message: `${cancelledCount} item(s) cancelled. Payment refunded.`,
+      order: updatedOrder
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
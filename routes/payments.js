@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const { protect } = require('../middleware/auth');
+const {
+  getProvider,
+  startCheckoutSession,
+  handleWebhook
+} = require('../utils/payments');
+
+// @route   POST /api/payments/checkout-session
+// @desc    Start a payment gateway checkout session for an order
+// @access  Protected - User
+router.post('/checkout-session', protect, async (req, res) => {
+  try {
+    const { orderId } = req.body;
+    
+    const order = await Order.findOne({
+      _id: orderId,
+      parentOrderId: { $exists: false }
+    });
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    if (order.buyer.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+    
+    if (order.payment.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Order payment is already ${order.payment.status}`
+      });
+    }
+    
+    const session = await startCheckoutSession(order);
+    
+    res.status(201).json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Payment gateway webhook (signed by the provider)
+// @access  Public
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    const handled = await handleWebhook(req.params.provider, req.rawBody, req.headers);
+    
+    if (!handled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+    
+    res.json({ success: true, received: true });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/payments/mock/:sessionId/complete
+// @desc    Finish a mock checkout session (outcome: succeeded or failed)
+// @access  Protected - User (mock provider only, disabled in production)
+router.post('/mock/:sessionId/complete', protect, async (req, res) => {
+  try {
+    const mock = getProvider('mock');
+    
+    if (!mock) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+    
+    const { outcome = 'succeeded' } = req.body;
+    
+    const order = await Order.findOne({
+      'payment.provider': mock.name,
+      'payment.sessionId': req.params.sessionId,
+      'buyer.userId': req.user.id
+    });
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checkout session not found'
+      });
+    }
+    
+    // Deliver a signed webhook exactly as the gateway would
+    const webhook = mock.buildWebhook({
+      sessionId: req.params.sessionId,
+      outcome,
+      amount: order.payment.amount,
+      currency: order.payment.currency
+    });
+    await handleWebhook(mock.name, webhook.rawBody, webhook.headers);
+    
+    const updatedOrder = await Order.findById(order._id).populate('subOrders');
+    
+    res.json({
+      success: true,
+      message: `Mock payment ${outcome}`,
+      order: updatedOrder
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,107 @@
-const { convertPrice, getCurrencySymbol } = require('../utils/currency');
+const {
+  convertPrice,
+  conversionFactors,
+  displayPrice,
+  getCurrencySymbol,
+  isSupportedCurrency
+} = require('../utils/currency');
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
 const Seller = require('../models/Seller');
-const { protect, authorize } = require('../middleware/auth');
-const { upload } = require('../config/cloudinary');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const User = require('../models/User');
+const { protect, optionalAuth, authorize } = require('../middleware/auth');
+const { upload, deleteImages } = require('../config/cloudinary');
+const { setVariants, variantMatrix } = require('../utils/variants');
+const { searchProducts, autocomplete } = require('../utils/search');
+const { pageOptions } = require('../utils/pagination');
+
+// Block phone numbers, emails, and links in description
+const forbiddenPattern = /(\+?\d[\d\s\-]{7,}|\b[\w.-]+@[\w.-]+\.\w{2,}\b|https?:\/\/\S+|www\.\S+)/i;
+
+const FORBIDDEN_CONTACT_MESSAGE = 'Product description cannot contain phone numbers, email addresses, or links.';
+
+// Currency to show prices in: ?currency=, else the signed-in buyer's
+// currency, else USD. Returns null if ?currency= isn't supported.
+async function displayCurrencyFor(req) {
+  if (req.query.currency) {
+    const requested = String(req.query.currency).toUpperCase();
+    return (await isSupportedCurrency(requested)) ? requested : null;
+  }
+
+  if (req.user && req.user.role === 'user') {
+    const user = await User.findById(req.user.id).select('currency');
+    if (user && await isSupportedCurrency(user.currency)) {
+      return user.currency;
+    }
+  }
+
+  return 'USD';
+}
+
+const unsupportedCurrency = (res, currency) => res.status(400).json({
+  success: false,
+  message: `${currency} is not a supported currency`
+});
+
+// Add each product's price in the display currency (see displayPrice)
+function withDisplayPrices(products, currency) {
+  const factors = conversionFactors(currency);
+
+  return products.map(product => {
+    const fields = typeof product.toObject === 'function' ? product.toObject() : product;
+    return { ...fields, displayPrice: displayPrice(fields.price, currency, factors) };
+  });
+}
+
+// Respond with a product listing built from the query string: search,
+// sort, filters, display currency and cursor or page. filters are merged
+// over the query's; extra fields are added to the response.
+async function sendProductListing(req, res, { filters = {}, extra = {} } = {}) {
+  const currency = await displayCurrencyFor(req);
+  if (!currency) {
+    return unsupportedCurrency(res, req.query.currency);
+  }
+
+  const { search, sort, cursor, page, limit, ...queryFilters } = req.query;
+
+  const listing = await searchProducts({
+    search,
+    sort,
+    ...pageOptions({ cursor, page, limit }),
+    currency,
+    filters: { ...queryFilters, ...filters }
+  });
+
+  res.json({
+    success: true,
+    ...extra,
+    currency,
+    sort: listing.sort,
+    products: withDisplayPrices(listing.products, currency),
+    facets: listing.facets,
+    ...listing.paging
+  });
+}
+
+// Multipart forms send lists as repeated fields or comma-separated text
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// A whole form value as a number of 0 or more (parseFloat would accept
+// "10abc"), or NaN
+const toAmount = (value) => {
+  const text = String(value).trim();
+  const amount = text === '' ? NaN : Number(text);
+  return Number.isFinite(amount) && amount >= 0 ? amount : NaN;
+};
+
+// Mongoose and JSON.parse errors are caused by what the client sent
+const statusFor = (error) => error.statusCode ||
+  (['ValidationError', 'CastError', 'SyntaxError'].includes(error.name) ? 400 : 500);
 
 // @route   POST /api/products/convert-price
 // @desc    Convert product price to user's currency
@@ -34,49 +131,42 @@ router.post('/convert-price', async (req, res) => {
 });
 
 // @route   GET /api/products
-// @desc    Get all products (for index page)
+// @desc    Get all products (for index page). With search, results are
+//          ranked by relevance (prefixes and small typos match too). Filters:
+//          category, condition, sellerId, minPrice, maxPrice, minRating.
+//          Prices are filtered, sorted and shown in the display currency
+//          (?currency=, default the buyer's). sort: relevance, newest,
+//          price_asc, price_desc, best_selling, most_viewed, top_rated.
+//          Pass the response's nextCursor as ?cursor= for the next page
+//          (limit is capped at 100). Facet counts for the whole result set
+//          are returned alongside.
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { category, search, minPrice, maxPrice, page = 1, limit = 20 } = req.query;
-    
-    let query = { isActive: true };
-    
-    // Filter by category
-    if (category) {
-      query.category = category;
-    }
-    
-    // Search by name or description
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
-    
-    // Price range filter
-    if (minPrice || maxPrice) {
-      query['price.amount'] = {};
-      if (minPrice) query['price.amount'].$gte = parseFloat(minPrice);
-      if (maxPrice) query['price.amount'].$lte = parseFloat(maxPrice);
-    }
-    
-    const products = await Product.find(query)
-      .populate('sellerId', 'storeName storeLogo shopURL')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
+    await sendProductListing(req, res);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/products/autocomplete
+// @desc    Suggest product names and tags for a partly typed search (?q=)
+// @access  Public
+router.get('/autocomplete', async (req, res) => {
+  try {
+    const { q, limit = 8 } = req.query;
     
-    const count = await Product.countDocuments(query);
+    const suggestions = await autocomplete(q, {
+      limit: Math.min(Math.max(parseInt(limit, 10) || 8, 1), 20)
+    });
     
     res.json({
       success: true,
-      products,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page,
-      total: count
+      query: q || '',
+      ...suggestions
     });
   } catch (error) {
     res.status(500).json({
@@ -87,10 +177,16 @@ router.get('/', async (req, res) => {
 });
 
 // @route   GET /api/products/featured
-// @desc    Get featured products (for index page)
+// @desc    Get featured products (for index page), priced in the display
+//          currency
 // @access  Public
-router.get('/featured', async (req, res) => {
+router.get('/featured', optionalAuth, async (req, res) => {
   try {
+    const currency = await displayCurrencyFor(req);
+    if (!currency) {
+      return unsupportedCurrency(res, req.query.currency);
+    }
+    
     const products = await Product.find({ isActive: true, isFeatured: true })
       .populate('sellerId', 'storeName storeLogo shopURL')
       .limit(8)
@@ -98,7 +194,8 @@ router.get('/featured', async (req, res) => {
     
     res.json({
       success: true,
-      products
+      currency,
+      products: withDisplayPrices(products, currency)
     });
   } catch (error) {
     res.status(500).json({
@@ -109,9 +206,10 @@ router.get('/featured', async (req, res) => {
 });
 
 // @route   GET /api/products/seller/:shopURL
-// @desc    Get products by seller shop URL
+// @desc    Get products by seller shop URL (same search, sort, filters and
+//          pagination as GET /api/products)
 // @access  Public
-router.get('/seller/:shopURL', async (req, res) => {
+router.get('/seller/:shopURL', optionalAuth, async (req, res) => {
   try {
     const seller = await Seller.findOne({ shopURL: req.params.shopURL });
     
@@ -122,24 +220,20 @@ router.get('/seller/:shopURL', async (req, res) => {
       });
     }
     
-    const products = await Product.find({
-      sellerId: seller._id,
-      isActive: true
-    }).sort({ createdAt: -1 });
-    
-    res.json({
-      success: true,
-      seller: {
-        id: seller._id,
-        storeName: seller.storeName,
-        storeLogo: seller.storeLogo,
-        storeDescription: seller.storeDescription,
-        shopURL: seller.shopURL
-      },
-      products
+    await sendProductListing(req, res, {
+      filters: { sellerId: seller._id.toString() },
+      extra: {
+        seller: {
+          id: seller._id,
+          storeName: seller.storeName,
+          storeLogo: seller.storeLogo,
+          storeDescription: seller.storeDescription,
+          shopURL: seller.shopURL
+        }
+      }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -161,17 +255,28 @@ router.post('/', protect, authorize('seller'), upload.array('images'), async (re
       condition, 
       shippingWeight, 
       shippingFee, 
-      tags
+      shipsFrom,
+      tags,
+      options,
+      variants
     } = req.body;
     
-    // Block phone numbers, emails, and links in description
-    const forbiddenPattern = /(\+?\d[\d\s\-]{7,}|\b[\w.-]+@[\w.-]+\.\w{2,}\b|https?:\/\/\S+|www\.\S+)/i;
     if (forbiddenPattern.test(description)) {
-    return res.status(400).json({
-    success: false,
-    message: 'Product description cannot contain phone numbers, email addresses, or links.'
-  });
-}
+      return res.status(400).json({
+        success: false,
+        message: FORBIDDEN_CONTACT_MESSAGE
+      });
+    }
+    if (!(await isSupportedCurrency(currency || 'USD'))) {
+      return res.status(400).json({
+        success: false,
+        message: `Prices in ${currency} are not supported`
+      });
+    }
+    
+    // Products ship from the seller's country unless told otherwise
+    const seller = await Seller.findById(req.user.id).select('country');
+    
     // Upload images to Cloudinary
     const images = req.files.map(file => ({
       url: file.path,
@@ -179,7 +284,7 @@ router.post('/', protect, authorize('seller'), upload.array('images'), async (re
     }));
 
     
-    const product = await Product.create({
+    const product = new Product({
       sellerId: req.user.id,
       name,
       description,
@@ -193,18 +298,26 @@ router.post('/', protect, authorize('seller'), upload.array('images'), async (re
       condition,
       shipping: {
       weight: shippingWeight,
+      shipsFrom: shipsFrom || (seller && seller.country),
       shippingFee: shippingFee ? JSON.parse(shippingFee) : {}
       },
       tags: tags ? tags.split(',').map(tag => tag.trim()) : []
     });
     
+    // Variants (JSON) carry their own stock; the product's is their total
+    if (options !== undefined || variants !== undefined) {
+      await setVariants(product, { options, variants });
+    }
+    
+    await product.save();
+    
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
       product
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -212,24 +325,280 @@ router.post('/', protect, authorize('seller'), upload.array('images'), async (re
 });
 
 // @route   GET /api/products/:id
-// @desc    Get single product by ID
+// @desc    Get single product by ID, with its variant matrix and prices in
+//          the display currency
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id)
-      .populate('sellerId', 'storeName storeLogo shopURL storeDescription');
+    const currency = await displayCurrencyFor(req);
+    if (!currency) {
+      return unsupportedCurrency(res, req.query.currency);
+    }
+    
+    // Count the view (most_viewed) as the product is fetched
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { $inc: { views: 1 } },
+      { new: true }
+    ).populate('sellerId', 'storeName storeLogo shopURL storeDescription');
 
-    if (!product || !product.isActive) {
+    if (!product) {
       return res.status(404).json({
         success: false,
         message: 'Product not found'
       });
     }
 
+    const factors = conversionFactors(currency);
+    const matrix = variantMatrix(product);
+    for (const variant of matrix.variants) {
+      variant.displayPrice = displayPrice(variant.price, currency, factors);
+    }
+
     res.json({
       success: true,
+      currency,
+      product: withDisplayPrices([product], currency)[0],
+      variantMatrix: matrix
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Apply an edit to a product the seller owns. Text fields are updated when
+// present; images can be removed (removeImages: public IDs), reordered
+// (imageOrder: public IDs, listed first in that order) and added (uploaded
+// files, appended). Removed images are deleted from Cloudinary once saved.
+// options and variants (JSON) replace the product's variants and are sent
+// together; stock is then set per variant.
+async function updateProduct(req, res) {
+  const uploaded = (req.files || []).map(file => ({
+    url: file.path,
+    publicId: file.filename
+  }));
+
+  // Don't leave new uploads behind if the edit is rejected
+  const reject = async (status, message) => {
+    await deleteImages(uploaded.map(image => image.publicId));
+    return res.status(status).json({
+      success: false,
+      message
+    });
+  };
+
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return reject(404, 'Product not found');
+    }
+
+    if (product.sellerId.toString() !== req.user.id) {
+      return reject(403, 'Not authorized');
+    }
+
+    const {
+      name,
+      description,
+      category,
+      price,
+      currency,
+      stock,
+      condition,
+      shippingWeight,
+      shippingFee,
+      shipsFrom,
+      tags,
+      isActive,
+      removeImages,
+      imageOrder,
+      options,
+      variants
+    } = req.body;
+
+    if (description !== undefined && forbiddenPattern.test(description)) {
+      return reject(400, FORBIDDEN_CONTACT_MESSAGE);
+    }
+
+    if (currency !== undefined && !(await isSupportedCurrency(currency))) {
+      return reject(400, `Prices in ${currency} are not supported`);
+    }
+
+    if (category !== undefined && !Product.schema.path('category').enumValues.includes(category)) {
+      return reject(400, 'Please provide a valid product category');
+    }
+
+    if (condition !== undefined && !Product.schema.path('condition').enumValues.includes(condition)) {
+      return reject(400, 'Please provide a valid product condition');
+    }
+
+    if (name !== undefined && !String(name).trim()) {
+      return reject(400, 'Product name is required');
+    }
+
+    if (price !== undefined && Number.isNaN(toAmount(price))) {
+      return reject(400, 'Price must be a number of 0 or more');
+    }
+
+    let shippingFees = shippingFee;
+    if (typeof shippingFee === 'string') {
+      try {
+        shippingFees = JSON.parse(shippingFee);
+      } catch (error) {
+        return reject(400, 'shippingFee must be valid JSON');
+      }
+    }
+
+    if (shippingFee !== undefined && (!shippingFees || typeof shippingFees !== 'object')) {
+      return reject(400, 'shippingFee must be an object');
+    }
+
+    if (stock !== undefined && !(Number.isInteger(Number(stock)) && Number(stock) >= 0)) {
+      return reject(400, 'Stock must be a whole number of 0 or more');
+    }
+
+    if (name !== undefined) product.name = String(name).trim();
+    if (description !== undefined) product.description = description;
+    if (category !== undefined) product.category = category;
+    if (price !== undefined) product.price.amount = toAmount(price);
+    if (currency !== undefined) product.price.currency = currency;
+    if (stock !== undefined) product.stock = Number(stock);
+    if (condition !== undefined) product.condition = condition;
+    if (shippingWeight !== undefined) product.shipping.weight = shippingWeight;
+    if (shipsFrom !== undefined) product.shipping.shipsFrom = shipsFrom;
+    if (shippingFee !== undefined) product.shipping.shippingFee = shippingFees;
+    if (tags !== undefined) product.tags = toList(tags);
+    if (isActive !== undefined) product.isActive = isActive === true || isActive === 'true';
+
+    // Images: remove, reorder, then append new uploads
+    let images = product.images.map(image => image.toObject());
+    const removed = [];
+
+    if (removeImages !== undefined) {
+      const ids = toList(removeImages);
+      const unknown = ids.filter(id => !images.some(image => image.publicId === id));
+
+      if (unknown.length > 0) {
+        return reject(400, `Image not found on this product: ${unknown.join(', ')}`);
+      }
+
+      removed.push(...images.filter(image => ids.includes(image.publicId)));
+      images = images.filter(image => !ids.includes(image.publicId));
+    }
+
+    if (imageOrder !== undefined) {
+      const order = toList(imageOrder);
+      const position = (image) => {
+        const index = order.indexOf(image.publicId);
+        return index === -1 ? order.length : index;
+      };
+
+      if (order.some(id => !images.some(image => image.publicId === id))) {
+        return reject(400, 'Image order can only list the product\'s current images');
+      }
+
+      // Array.prototype.sort is stable, so unlisted images keep their order
+      images.sort((a, b) => position(a) - position(b));
+    }
+
+    product.images = [...images, ...uploaded];
+
+    if (options !== undefined || variants !== undefined) {
+      if (options === undefined || variants === undefined) {
+        return reject(400, 'Please send options and variants together');
+      }
+
+      await setVariants(product, { options, variants });
+    } else {
+      // Removed images are removed from the variants using them too
+      for (const variant of product.variants) {
+        variant.images = variant.images.filter(image =>
+          product.images.some(productImage => productImage.publicId === image.publicId)
+        );
+      }
+    }
+
+    if (stock !== undefined && product.variants.length > 0) {
+      return reject(400, 'This product has variants, please set the stock of each variant');
+    }
+
+    await product.save();
+    await deleteImages(removed.map(image => image.publicId));
+
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
       product
     });
+  } catch (error) {
+    await deleteImages(uploaded.map(image => image.publicId));
+    res.status(statusFor(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// @route   PUT /api/products/:id
+// @desc    Update a product, including adding, removing and reordering images
+// @access  Protected - Seller (own products)
+router.put('/:id', protect, authorize('seller'), upload.array('images'), updateProduct);
+
+// @route   PATCH /api/products/:id
+// @desc    Update a product (same as PUT; only the fields sent are changed)
+// @access  Protected - Seller (own products)
+router.patch('/:id', protect, authorize('seller'), upload.array('images'), updateProduct);
+
+// @route   DELETE /api/products/:id
+// @desc    Delete a product. Products that have been ordered are archived
+//          (hidden from the store) instead, so orders keep their history.
+// @access  Protected - Seller (own products)
+router.delete('/:id', protect, authorize('seller'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.sellerId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (await Order.exists({ 'items.productId': product._id })) {
+      product.isActive = false;
+      await product.save();
+
+      return res.json({
+        success: true,
+        message: 'Product has orders, so it was archived instead of deleted',
+        archived: true,
+        product
+      });
+    }
+
+    await product.deleteOne();
+    await Coupon.updateMany(
+      { productIds: product._id },
+      { $pull: { productIds: product._id } }
+    );
+    await deleteImages(product.images.map(image => image.publicId));
+
+    res.json({
+      success: true,
+      message: 'Product deleted successfully',
+      archived: false
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
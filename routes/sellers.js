@@ -1,10 +1,23 @@
 const { upload } = require('../config/cloudinary');
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Seller = require('../models/Seller');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const Payout = require('../models/Payout');
+const Transaction = require('../models/Transaction');
 const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { cancelOrderItems, syncParentOrder, CANCELLABLE_SHIPPING_STATUSES } = require('../utils/escrow');
+const { transitionUpdate } = require('../utils/orderLifecycle');
+const { minimumPayouts, requestPayout } = require('../utils/payouts');
+const { isSupportedCurrency } = require('../utils/currency');
+const { roundAmount } = require('../utils/iso4217');
+const { pageOptions, queryList, paginate } = require('../utils/pagination');
+const { listTransactions, monthlyStatement, statementToCSV, writeStatementPDF } = require('../utils/statements');
+
+const TRANSACTION_TYPES = Transaction.schema.path('type').enumValues;
 
 // @route   GET /api/sellers/:id
 // @desc    Get seller details
@@ -88,12 +101,29 @@ router.get('/:id/stats', protect, authorize('seller'), async (req, res) => {
     
     const totalSales = salesData[0]?.total || 0;
     
+    // Platform commission deducted from released sales, per currency
+    const commissionData = await Transaction.aggregate([
+      {
+        $match: {
+          sellerId: new mongoose.Types.ObjectId(req.params.id),
+          type: 'commission',
+          status: 'completed'
+        }
+      },
+      { $group: { _id: '$currency', total: { $sum: '$amount' } } },
+      { $sort: { '_id': 1 } }
+    ]);
+    
     res.json({
       success: true,
       stats: {
         activeProducts,
         pendingOrders,
-        totalSales
+        totalSales,
+        commissionPaid: commissionData.map(row => ({
+          currency: row._id,
+          total: roundAmount(row.total, row._id)
+        }))
       }
     });
   } catch (error) {
@@ -135,6 +165,257 @@ router.get('/:id/orders/recent', protect, authorize('seller'), async (req, res)
   }
 });
 
+// @route   GET /api/sellers/:id/orders
+// @desc    Get all orders containing the seller's items, newest first
+//          (?cursor= or ?page=, limit up to 100)
+// @access  Protected - Seller
+router.get('/:id/orders', protect, authorize('seller'), async (req, res) => {
+  try {
+    if (req.user.id !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+    
+    const shippingStatuses = queryList(req.query.shippingStatus);
+    
+    let query = { 'items.sellerId': req.params.id };
+    
+    if (shippingStatuses.length > 0) {
+      query['shipping.status'] = { $in: shippingStatuses };
+    }
+    
+    const { items: orders, paging } = await paginate(Order, query, {
+      ...pageOptions(req.query),
+      build: (find) => find.populate('buyer.userId', 'fullName email')
+    });
+    
+    res.json({
+      success: true,
+      orders,
+      ...paging
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/sellers/:id/orders/:orderId/shipping
+// @desc    Update fulfillment status (processing, shipped, in_transit, delivered)
+// @access  Protected - Seller
+router.put('/:id/orders/:orderId/shipping', protect, authorize('seller'), async (req, res) => {
+  try {
+    if (req.user.id !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+    
+    const { status, carrier, trackingNumber, estimatedDelivery, note } = req.body;
+    
+    if (!['processing', 'shipped', 'in_transit', 'delivered'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of processing, shipped, in_transit, delivered'
+      });
+    }
+    
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      'items.sellerId': req.params.id
+    });
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    // Nothing ships before the buyer has paid
+    if (!['completed', 'partially_refunded'].includes(order.payment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has not been paid'
+      });
+    }
+    
+    // Disputed orders stay put until the dispute is resolved
+    if (order.escrow.frozen) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order is under dispute'
+      });
+    }
+    
+    // Cancelled and refunded items don't ship
+    const hasActiveItems = order.items.some(item =>
+      item.sellerId.toString() === req.params.id && item.status === 'active'
+    );
+    
+    if (!hasActiveItems) {
+      return res.status(400).json({
+        success: false,
+        message: 'No items left to ship'
+      });
+    }
+    
+    const shipping = {};
+    if (carrier) shipping['shipping.carrier'] = carrier;
+    if (trackingNumber) shipping['shipping.trackingNumber'] = trackingNumber;
+    if (estimatedDelivery) shipping['shipping.estimatedDelivery'] = estimatedDelivery;
+    
+    // Keep the overall order status in step with shipping
+    const orderStatus = {
+      processing: 'processing',
+      shipped: 'shipped',
+      in_transit: 'shipped',
+      delivered: 'delivered'
+    }[status];
+    
+    if ((status === 'shipped' || status === 'in_transit') &&
+        (!(carrier || order.shipping.carrier) || !(trackingNumber || order.shipping.trackingNumber))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Carrier and tracking number are required to ship an order'
+      });
+    }
+    
+    const { filter, update } = transitionUpdate(
+      order,
+      { 'shipping.status': status, status: orderStatus },
+      { by: { role: 'seller', id: req.params.id }, reason: note }
+    );
+    
+    // Claim the order as it was read, so a concurrent cancellation, refund
+    // or dispute can't be overwritten
+    Object.assign(filter, {
+      status: order.status,
+      'shipping.status': order.shipping.status,
+      'payment.status': order.payment.status,
+      'escrow.frozen': { $ne: true },
+      items: { $elemMatch: { sellerId: req.params.id, status: 'active' } }
+    });
+    
+    Object.assign(update.$set, shipping);
+    if (status === 'shipped') update.$set['shipping.shippedAt'] = Date.now();
+    if (status === 'delivered') update.$set['shipping.deliveredAt'] = Date.now();
+    
+    update.$push['shipping.updates'] = {
+      status,
+      note,
+      updatedBy: req.params.id,
+      timestamp: Date.now()
+    };
+    
+    const updated = await Order.findOneAndUpdate(filter, update, { new: true });
+    
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order was changed by another request, please try again'
+      });
+    }
+    
+    if (updated.parentOrderId) {
+      await syncParentOrder(updated.parentOrderId, {
+        by: { role: 'seller', id: req.params.id },
+        reason: note
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Order marked as ${status}`,
+      shipping: updated.shipping
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/sellers/:id/orders/:orderId/reject
+// @desc    Reject an order (or some of the seller's items in it)
+// @access  Protected - Seller
+router.put('/:id/orders/:orderId/reject', protect, authorize('seller'), async (req, res) => {
+  try {
+    if (req.user.id !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+    
+    const { itemIds, reason } = req.body;
+    
+    if (itemIds !== undefined && !(Array.isArray(itemIds) && itemIds.every(id => mongoose.isValidObjectId(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'itemIds must be a list of item IDs'
+      });
+    }
+    
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      'items.sellerId': req.params.id
+    });
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    if (!CANCELLABLE_SHIPPING_STATUSES.includes(order.shipping.status) || order.escrow.status !== 'held') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order can no longer be rejected'
+      });
+    }
+    
+    // Sellers can only reject their own items
+    const sellerItems = order.items.filter(item =>
+      item.sellerId.toString() === req.params.id && item.status === 'active'
+    );
+    const toCancel = itemIds && itemIds.length
+      ? sellerItems.filter(item => itemIds.includes(item._id.toString()))
+      : sellerItems;
+    
+    if (toCancel.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No cancellable items found'
+      });
+    }
+    
+    const result = await cancelOrderItems(
+      order._id,
+      toCancel.map(item => item._id),
+      { cancelledBy: 'seller', actorId: req.params.id, reason }
+    );
+    
+    res.json({
+      success: true,
+      message: `${result.cancelledItems.length} item(s) rejected. Buyer refunded.`,
+      order: result.order
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/sellers/:id/products
 // @desc    Get all products for seller
 // @access  Protected - Seller
@@ -216,6 +497,13 @@ router.post('/:id/bank-account', protect, authorize('seller'), async (req, res)
     
     const { currency, bankName, accountName, accountNumber, swiftCode } = req.body;
     
+    if (!(await isSupportedCurrency(currency))) {
+      return res.status(400).json({
+        success: false,
+        message: `Payouts in ${currency} are not supported`
+      });
+    }
+    
     const seller = await Seller.findById(req.params.id);
     
     seller.bankAccounts.push({
@@ -273,9 +561,9 @@ router.delete('/:id/bank-account/:accountId', protect, authorize('seller'), asyn
 });
 
 // @route   POST /api/sellers/:id/payout
-// @desc    Request payout
+// @desc    Request payout. Supports Idempotency-Key header
 // @access  Protected - Seller
-router.post('/:id/payout', protect, authorize('seller'), async (req, res) => {
+router.post('/:id/payout', protect, authorize('seller'), idempotent, async (req, res) => {
   try {
     if (req.user.id !== req.params.id) {
       return res.status(403).json({
@@ -286,34 +574,208 @@ router.post('/:id/payout', protect, authorize('seller'), async (req, res) => {
     
     const { currency, amount, accountId } = req.body;
     
-    const seller = await Seller.findById(req.params.id);
+    const payout = await requestPayout({
+      sellerId: req.params.id,
+      currency,
+      amount,
+      accountId
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Payout request submitted successfully',
+      payout
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/sellers/:id/payouts
+// @desc    Get seller payout history, newest first (?cursor= or ?page=,
+//          limit up to 100)
+// @access  Protected - Seller
+router.get('/:id/payouts', protect, authorize('seller'), async (req, res) => {
+  try {
+    if (req.user.id !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+    
+    const statuses = queryList(req.query.status);
+    const currencies = queryList(req.query.currency);
     
-    // Check if seller has enough balance
-    if (seller.wallets[currency].balance < amount) {
+    let query = { sellerId: req.params.id };
+    if (statuses.length > 0) query.status = { $in: statuses };
+    if (currencies.length > 0) query.currency = { $in: currencies };
+    
+    const { items: payouts, paging } = await paginate(Payout, query, pageOptions(req.query));
+    
+    res.json({
+      success: true,
+      payouts,
+      minimumPayout: await minimumPayouts(),
+      ...paging
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+
+// @route   GET /api/sellers/:id/transactions
+// @desc    Get seller wallet transactions with running balances
+// @access  Protected - Seller
+router.get('/:id/transactions', protect, authorize('seller'), async (req, res) => {
+  try {
+    if (req.user.id !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+    
+    const { currency, orderId, from, to } = req.query;
+    const types = queryList(req.query.type);
+    
+    if (types.some(value => !TRANSACTION_TYPES.includes(value))) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient balance'
+        message: `Type must be one of ${TRANSACTION_TYPES.join(', ')}`
       });
     }
     
-    // Deduct from balance (in production, create payout request record)
-    seller.wallets[currency].balance -= amount;
-    await seller.save();
+    if (orderId && !mongoose.isValidObjectId(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+    
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
     
-    // In production, you'd create a Payout model and send to payment processor
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dates must be valid ISO dates'
+      });
+    }
+    
+    const { transactions, paging } = await listTransactions(req.params.id, {
+      ...pageOptions(req.query),
+      currency,
+      types,
+      orderId,
+      from: fromDate,
+      to: toDate
+    });
     
     res.json({
       success: true,
-      message: 'Payout request submitted successfully'
+      transactions,
+      ...paging
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
   }
 });
 
+// @route   GET /api/sellers/:id/statements/:year/:month
+// @desc    Download a monthly wallet statement (?currency=USD&format=csv|pdf|json)
+// @access  Protected - Seller
+router.get('/:id/statements/:year/:month', protect, authorize('seller'), async (req, res) => {
+  try {
+    if (req.user.id !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+    
+    const year = parseInt(req.params.year, 10);
+    const month = parseInt(req.params.month, 10);
+    const { format = 'csv' } = req.query;
+    const currency = typeof req.query.currency === 'string' ? req.query.currency.toUpperCase() : undefined;
+    
+    if (!(year >= 2000 && year <= 9999) || !(month >= 1 && month <= 12)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid statement period'
+      });
+    }
+    
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose the wallet currency for the statement'
+      });
+    }
+    
+    if (!(await isSupportedCurrency(currency))) {
+      return res.status(400).json({
+        success: false,
+        message: `Statements in ${currency} are not supported`
+      });
+    }
+    
+    if (!['csv', 'pdf', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be one of csv, pdf, json'
+      });
+    }
+    
+    const seller = await Seller.findById(req.params.id).select('storeName email');
+    
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller not found'
+      });
+    }
+    
+    const statement = await monthlyStatement(req.params.id, { currency, year, month });
+    const filename = `statement-${year}-${String(month).padStart(2, '0')}-${currency}`;
+    
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        statement
+      });
+    }
+    
+    if (format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`
+      });
+      return res.send(statementToCSV(statement));
+    }
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}.pdf"`
+    });
+    writeStatementPDF(statement, seller, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
 
 // @route   PUT /api/sellers/:id/logo
 // @desc    Update seller store logo
@@ -2,6 +2,10 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
+const { startEscrowReleaseJob } = require('./utils/escrow');
+const { startExchangeRateJob, onRatesChanged } = require('./utils/currency');
+const { startCheckoutExpiryJob } = require('./utils/payments');
+const { backfillSearchTokens, backfillSortFields, rebasePrices } = require('./utils/search');
 const authRoutes = require('./routes/auth');
 const path = require('path');
 const productRoutes = require('./routes/products');
@@ -10,6 +14,10 @@ const adminRoutes = require('./routes/admin');
 const sellerRoutes = require('./routes/sellers');
 const newsletterRoutes = require('./routes/newsletter');
 const bannerRoutes = require('./routes/banners');
+const disputeRoutes = require('./routes/disputes');
+const paymentRoutes = require('./routes/payments');
+const currencyRoutes = require('./routes/currencies');
+const couponRoutes = require('./routes/coupons');
 
 dotenv.config();
 
@@ -17,6 +25,21 @@ const app = express();
 
 connectDB();
 
+// Auto-release escrow once orders pass escrow.releaseScheduledFor
+startEscrowReleaseJob();
+
+// Void checkouts left unpaid, putting their stock back
+startCheckoutExpiryJob();
+
+// Keep product base prices in step with the exchange rates, then load saved
+// rates and refresh them from the provider hourly
+onRatesChanged(rebasePrices);
+startExchangeRateJob();
+
+// Build search tokens and sort fields for products saved before they existed
+backfillSearchTokens();
+backfillSortFields();
+
 // CORS configuration
 // ✅ UPDATED CORS configuration
 const allowedOrigins = [
@@ -48,8 +71,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Idempotent-Replayed'],
   maxAge: 86400 // ✅ Cache preflight for 24 hours
 }));
 
@@ -58,7 +81,12 @@ app.use(cors({
 
 
 
-app.use(express.json());
+// Keep the raw body so payment webhook signatures can be verified
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve uploaded files
@@ -72,6 +100,10 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/sellers', sellerRoutes);
 app.use('/api/newsletter', newsletterRoutes);
 app.use('/api/banners', bannerRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/coupons', couponRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const CommissionRule = require('../models/CommissionRule');
+const Currency = require('../models/Currency');
+const ExchangeRate = require('../models/ExchangeRate');
+const TaxRule = require('../models/TaxRule');
+const { createCheckout } = require('../utils/checkout');
+const { fakeModel, fakeSessions } = require('./support/fakeModel');
+
+const { mock } = test;
+const id = () => new mongoose.Types.ObjectId();
+
+const sellerA = id();
+const sellerB = id();
+const user = { id: id(), fullName: 'Ada Buyer', email: 'ada@example.com' };
+
+const product = (sellerId, fields) => ({
+  _id: id(),
+  sellerId,
+  name: 'Mug',
+  category: 'Home & Garden',
+  price: { amount: 10, currency: 'USD' },
+  stock: 3,
+  isActive: true,
+  ...fields
+});
+
+// Sets up in-memory collections; returns their raw documents
+function setup(products) {
+  fakeSessions();
+  fakeModel(Seller, [
+    { _id: sellerA, storeName: 'A', email: 'a@example.com', country: 'GB' },
+    { _id: sellerB, storeName: 'B', email: 'b@example.com', country: 'GB' }
+  ]);
+  fakeModel(CommissionRule, [{ scope: 'default', rate: 10 }]);
+  fakeModel(Currency);
+  fakeModel(ExchangeRate);
+  fakeModel(TaxRule);
+
+  return {
+    products: fakeModel(Product, products),
+    orders: fakeModel(Order)
+  };
+}
+
+const checkout = (items) => createCheckout({
+  user,
+  items,
+  shippingAddress: { country: 'GB' },
+  paymentMethod: 'card',
+  paymentCurrency: 'USD'
+});
+
+test.afterEach(() => mock.restoreAll());
+
+test('createCheckout splits a cart into one sub-order per seller', async () => {
+  const mug = product(sellerA);
+  const lamp = product(sellerB, { name: 'Lamp', price: { amount: 25, currency: 'USD' } });
+  const { orders } = setup([mug, lamp]);
+
+  const { order, subOrders } = await checkout([
+    { productId: mug._id, quantity: 2 },
+    { productId: lamp._id, quantity: 1 }
+  ]);
+
+  assert.strictEqual(orders.length, 3);
+  assert.strictEqual(order.payment.amount, 45);
+  assert.strictEqual(order.payment.status, 'pending');
+  assert.deepStrictEqual(order.subOrders.map(String), subOrders.map(subOrder => String(subOrder._id)));
+
+  assert.deepStrictEqual(
+    subOrders.map(subOrder => [String(subOrder.sellerId), subOrder.payment.amount, subOrder.items.length]),
+    [[String(sellerA), 20, 1], [String(sellerB), 25, 1]]
+  );
+  assert.ok(subOrders.every(subOrder => String(subOrder.parentOrderId) === String(order._id)));
+  assert.deepStrictEqual(subOrders.map(subOrder => subOrder.orderNumber), [`${order.orderNumber}-1`, `${order.orderNumber}-2`]);
+
+  // Commission is recorded at checkout and charged when escrow is released
+  assert.deepStrictEqual(subOrders.map(subOrder => subOrder.items[0].commission.amount), [2, 2.5]);
+});
+
+test('createCheckout refuses to sell more than is in stock', async () => {
+  const mug = product(sellerA);
+  const { products } = setup([mug]);
+
+  await checkout([{ productId: mug._id, quantity: 2 }]);
+
+  await assert.rejects(
+    checkout([{ productId: mug._id, quantity: 2 }]),
+    { name: 'CheckoutError', statusCode: 400, message: 'Insufficient stock for Mug' }
+  );
+  assert.strictEqual(products[0].stock, 1);
+});
+
+test('concurrent checkouts cannot oversell the last units', async () => {
+  const mug = product(sellerA);
+  const { products, orders } = setup([mug]);
+
+  const results = await Promise.allSettled([
+    checkout([{ productId: mug._id, quantity: 2 }]),
+    checkout([{ productId: mug._id, quantity: 2 }])
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(products[0].stock, 1);
+  // One parent order and its sub-order
+  assert.strictEqual(orders.length, 2);
+});
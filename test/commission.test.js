@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { commissionFor, commissionOnRelease } = require('../utils/commission');
+
+const sameCurrency = (amount, from, to) => {
+  assert.strictEqual(from, to);
+  return amount;
+};
+
+test('commissionFor applies the rule rate and fixed fee', () => {
+  const rule = { rate: 10, fixedFee: { amount: 0.5, currency: 'USD' } };
+
+  assert.deepStrictEqual(commissionFor(rule, 25, 'USD', sameCurrency), {
+    rate: 10,
+    fixedFee: 0.5,
+    amount: 3
+  });
+});
+
+test('commissionFor converts the fixed fee and rounds to the currency', () => {
+  const rule = { rate: 5, fixedFee: { amount: 1, currency: 'USD' } };
+  const toJPY = (amount) => amount * 150.4;
+
+  assert.deepStrictEqual(commissionFor(rule, 1001, 'JPY', toJPY), {
+    rate: 5,
+    fixedFee: 150,
+    amount: 200
+  });
+});
+
+test('commissionFor never takes more than the subtotal', () => {
+  const rule = { rate: 50, fixedFee: { amount: 10, currency: 'USD' } };
+
+  assert.strictEqual(commissionFor(rule, 4, 'USD', sameCurrency).amount, 4);
+});
+
+test('commissionFor falls back to DEFAULT_COMMISSION_RATE read at call time', () => {
+  const previous = process.env.DEFAULT_COMMISSION_RATE;
+  process.env.DEFAULT_COMMISSION_RATE = '7.5';
+
+  try {
+    assert.deepStrictEqual(commissionFor(null, 200, 'USD', sameCurrency), {
+      rate: 7.5,
+      fixedFee: 0,
+      amount: 15
+    });
+  } finally {
+    if (previous === undefined) delete process.env.DEFAULT_COMMISSION_RATE;
+    else process.env.DEFAULT_COMMISSION_RATE = previous;
+  }
+});
+
+test('commissionOnRelease is proportional to what the seller keeps', () => {
+  const item = { commission: { amount: 10 } };
+
+  assert.strictEqual(commissionOnRelease(item, 50, 100, 'USD'), 5);
+  assert.strictEqual(commissionOnRelease(item, 100, 100, 'USD'), 10);
+  assert.strictEqual(commissionOnRelease({}, 100, 100, 'USD'), 0);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { CouponError, appliesTo, applyCoupon } = require('../utils/coupons');
+
+const id = () => new mongoose.Types.ObjectId();
+const sellerA = id();
+const sellerB = id();
+
+const product = (sellerId, category = 'Books') => ({ _id: id(), sellerId, category });
+const entry = (sellerId, subtotal, category) => ({ product: product(sellerId, category), line: { subtotal } });
+
+const options = {
+  paymentCurrency: 'USD',
+  convert: (amount, from, to) => (from === to ? amount : amount * 2)
+};
+
+const coupon = (fields) => ({
+  code: 'SAVE',
+  type: 'percentage',
+  value: 10,
+  currency: 'USD',
+  scope: 'platform',
+  fundedBy: 'platform',
+  productIds: [],
+  ...fields
+});
+
+test('appliesTo keeps seller coupons to that seller', () => {
+  const sellerCoupon = coupon({ scope: 'seller', sellerId: sellerA, fundedBy: 'seller' });
+
+  assert.strictEqual(appliesTo(sellerCoupon, product(sellerA)), true);
+  assert.strictEqual(appliesTo(sellerCoupon, product(sellerB)), false);
+});
+
+test('appliesTo refuses a seller-funded coupon with no seller', () => {
+  assert.strictEqual(appliesTo(coupon({ fundedBy: 'seller' }), product(sellerA)), false);
+});
+
+test('appliesTo matches category and product scopes', () => {
+  const book = product(sellerA, 'Books');
+
+  assert.strictEqual(appliesTo(coupon({ scope: 'category', category: 'Books' }), book), true);
+  assert.strictEqual(appliesTo(coupon({ scope: 'category', category: 'Food' }), book), false);
+  assert.strictEqual(appliesTo(coupon({ scope: 'products', productIds: [book._id] }), book), true);
+});
+
+test('applyCoupon splits a percentage discount across eligible lines', () => {
+  const entries = [entry(sellerA, 30), entry(sellerA, 10), entry(sellerB, 50)];
+  const sellerCoupon = coupon({ scope: 'seller', sellerId: sellerA, fundedBy: 'seller', value: 25 });
+
+  assert.strictEqual(applyCoupon(sellerCoupon, entries, options), 10);
+  assert.deepStrictEqual(entries[0].line.discount, { amount: 7.5, fundedBy: 'seller' });
+  assert.deepStrictEqual(entries[1].line.discount, { amount: 2.5, fundedBy: 'seller' });
+  assert.strictEqual(entries[2].line.discount, undefined);
+});
+
+test('applyCoupon caps percentage discounts at maxDiscount', () => {
+  const entries = [entry(sellerA, 200)];
+
+  assert.strictEqual(applyCoupon(coupon({ value: 50, maxDiscount: 20 }), entries, options), 20);
+});
+
+test('applyCoupon converts fixed discounts and never exceeds the eligible total', () => {
+  const euroCoupon = coupon({ type: 'fixed', value: 3, currency: 'EUR' });
+
+  assert.strictEqual(applyCoupon(euroCoupon, [entry(sellerA, 10)], options), 6);
+  assert.strictEqual(applyCoupon(euroCoupon, [entry(sellerA, 4)], options), 4);
+});
+
+test('applyCoupon enforces the minimum spend', () => {
+  assert.throws(
+    () => applyCoupon(coupon({ minOrderValue: 50 }), [entry(sellerA, 20)], options),
+    CouponError
+  );
+});
+
+test('applyCoupon rejects a cart it does not apply to', () => {
+  const sellerCoupon = coupon({ scope: 'seller', sellerId: sellerA, fundedBy: 'seller' });
+
+  assert.throws(() => applyCoupon(sellerCoupon, [entry(sellerB, 20)], options), CouponError);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ExchangeRate = require('../models/ExchangeRate');
+const { loadRateConverter, setManualRates } = require('../utils/currency');
+const { fakeModel } = require('./support/fakeModel');
+
+const { mock } = test;
+const HOUR = 60 * 60 * 1000;
+
+const snapshot = (fields) => ({
+  provider: 'exchangerate-api',
+  base: 'USD',
+  rates: { NGN: 1500, EUR: 0.9, GBP: 0.8 },
+  fetchedAt: new Date(),
+  ...fields
+});
+
+test.afterEach(() => {
+  mock.restoreAll();
+  delete process.env.EXCHANGE_RATE_PROVIDER;
+  delete process.env.EXCHANGE_RATE_MAX_AGE;
+});
+
+test('loadRateConverter converts with the latest rates and records the ones used', async () => {
+  const [saved] = fakeModel(ExchangeRate, [snapshot()]);
+
+  const rates = await loadRateConverter();
+
+  assert.strictEqual(rates.convert(10, 'USD', 'NGN'), 15000);
+  assert.strictEqual(rates.convert(10, 'EUR', 'GBP'), 8.89);
+  assert.strictEqual(rates.convert(10, 'NGN', 'NGN'), 10);
+  assert.deepStrictEqual(rates.record(), {
+    snapshotId: saved._id,
+    provider: 'exchangerate-api',
+    base: 'USD',
+    fetchedAt: saved.fetchedAt,
+    rates: { USD: 1, NGN: 1500, EUR: 0.9, GBP: 0.8 }
+  });
+  assert.throws(() => rates.convert(10, 'USD', 'JPY'), { statusCode: 503, message: 'No exchange rate available for JPY' });
+});
+
+test('loadRateConverter refuses conversions without rates but lets same-currency orders through', async () => {
+  fakeModel(ExchangeRate);
+
+  const rates = await loadRateConverter();
+
+  assert.strictEqual(rates.convert(10, 'USD', 'USD'), 10);
+  assert.throws(
+    () => rates.convert(10, 'USD', 'NGN'),
+    { name: 'ExchangeRateError', statusCode: 503, message: 'Exchange rates are unavailable, please try again later' }
+  );
+  assert.strictEqual(rates.record(), undefined);
+});
+
+test('loadRateConverter refuses rates older than the provider allows', async () => {
+  fakeModel(ExchangeRate, [snapshot({ fetchedAt: new Date(Date.now() - 27 * HOUR) })]);
+
+  const stale = await loadRateConverter();
+
+  assert.throws(() => stale.convert(10, 'USD', 'NGN'), { message: 'Exchange rates are out of date, please try again later' });
+
+  process.env.EXCHANGE_RATE_MAX_AGE = String(30 * HOUR);
+  assert.strictEqual((await loadRateConverter()).convert(10, 'USD', 'NGN'), 15000);
+});
+
+test('manual rates never go out of date and are merged over the previous table', async () => {
+  process.env.EXCHANGE_RATE_PROVIDER = 'manual';
+  const snapshots = fakeModel(ExchangeRate, [
+    snapshot({ provider: 'manual', rates: { NGN: 1400, EUR: 0.9 }, fetchedAt: new Date(Date.now() - 90 * 24 * HOUR) })
+  ]);
+
+  assert.strictEqual((await loadRateConverter()).convert(10, 'USD', 'NGN'), 14000);
+
+  await setManualRates({ NGN: 1600 }, { base: 'USD' });
+  assert.deepStrictEqual(snapshots[1].rates, { NGN: 1600, EUR: 0.9 });
+
+  // A table against another base replaces the previous one
+  await setManualRates({ USD: 1.1 }, { base: 'EUR' });
+  assert.deepStrictEqual(snapshots[2].rates, { USD: 1.1 });
+  assert.strictEqual(snapshots.length, 3);
+});
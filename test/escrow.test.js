@@ -0,0 +1,287 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const {
+  holdEscrow,
+  releaseEscrow,
+  releaseDueEscrows,
+  cancelOrderItems,
+  settleItems
+} = require('../utils/escrow');
+const { fakeModel, fakeSessions } = require('./support/fakeModel');
+
+const { mock } = test;
+const id = () => new mongoose.Types.ObjectId();
+
+const sellerId = id();
+const by = { role: 'admin', id: id() };
+
+const item = (fields) => ({
+  _id: id(),
+  productId: id(),
+  sellerId,
+  name: 'Lamp',
+  quantity: 1,
+  status: 'active',
+  ...fields
+});
+
+// A paid sub-order with two lines: 50 held (5 commission) and 30 held
+// (of which 10 is a platform-funded discount, plus 3 tax)
+const paidOrder = (fields) => ({
+  _id: id(),
+  orderNumber: 'ORD-1',
+  sellerId,
+  buyer: { userId: id() },
+  items: [
+    item({ subtotal: 50, escrowAmount: 50, commission: { rate: 10, amount: 5 } }),
+    item({
+      subtotal: 30,
+      escrowAmount: 30,
+      discount: { amount: 10, fundedBy: 'platform' },
+      tax: { rate: 10, amount: 3 }
+    })
+  ],
+  status: 'shipped',
+  payment: { method: 'card', currency: 'USD', amount: 73, status: 'completed' },
+  shipping: { status: 'shipped' },
+  escrow: { status: 'held' },
+  ...fields
+});
+
+// Sets up in-memory collections; returns their raw documents
+function setup(orders) {
+  fakeSessions();
+
+  return {
+    orders: fakeModel(Order, orders),
+    sellers: fakeModel(Seller, [{ _id: sellerId, storeName: 'Lamps', email: 'lamps@example.com' }]),
+    products: fakeModel(Product, orders.flatMap(order => order.items.map(line => ({
+      _id: line.productId,
+      name: line.name,
+      sellerId,
+      stock: 5,
+      sales: 0
+    })))),
+    transactions: fakeModel(Transaction),
+    entries: fakeModel(LedgerEntry)
+  };
+}
+
+// Net credit of each account (per seller for seller accounts)
+function accountTotals(entries) {
+  const totals = {};
+  for (const entry of entries) {
+    const key = entry.sellerId ? `${entry.account}:${entry.sellerId}` : entry.account;
+    totals[key] = Math.round(((totals[key] || 0) + entry.credit - entry.debit) * 100) / 100;
+  }
+  return totals;
+}
+
+function assertJournalsBalance(entries) {
+  const journals = {};
+  for (const entry of entries) {
+    const journal = journals[entry.journalId] || (journals[entry.journalId] = { debit: 0, credit: 0 });
+    journal.debit += entry.debit;
+    journal.credit += entry.credit;
+  }
+
+  for (const journal of Object.values(journals)) {
+    assert.strictEqual(Math.round(journal.debit * 100), Math.round(journal.credit * 100));
+  }
+}
+
+const wallet = (sellers) => sellers[0].wallets.USD;
+
+test.afterEach(() => mock.restoreAll());
+
+test('releaseEscrow pays sellers less commission and keeps the ledger balanced', async () => {
+  const { orders, sellers, products, transactions, entries } = setup([paidOrder()]);
+
+  await holdEscrow(Order.hydrate(orders[0]));
+  const order = await releaseEscrow(orders[0]._id, { confirmedBy: 'buyer', by });
+
+  assert.strictEqual(order.status, 'completed');
+  assert.strictEqual(order.escrow.status, 'released');
+  assert.strictEqual(order.shipping.status, 'delivered');
+
+  assertJournalsBalance(entries);
+  const totals = accountTotals(entries);
+  assert.strictEqual(totals[`seller_pending:${sellerId}`], 0);
+  assert.strictEqual(totals[`seller_available:${sellerId}`], 75);
+  // 5 commission, less the 10 discount the platform paid for
+  assert.strictEqual(totals.platform_fees, -5);
+  assert.strictEqual(totals.tax_payable, 3);
+
+  // The stored wallet agrees with the ledger
+  assert.deepStrictEqual(
+    { pending: wallet(sellers).pendingBalance, balance: wallet(sellers).balance, earnings: wallet(sellers).totalEarnings },
+    { pending: 0, balance: 75, earnings: 75 }
+  );
+
+  assert.deepStrictEqual(
+    transactions.map(transaction => [transaction.type, transaction.amount]),
+    [['escrow_hold', 50], ['escrow_hold', 30], ['escrow_release', 50], ['commission', 5], ['escrow_release', 30]]
+  );
+  assert.deepStrictEqual(products.map(product => product.sales), [1, 1]);
+});
+
+test('releaseEscrow releases an order only once', async () => {
+  const { orders, entries } = setup([paidOrder()]);
+
+  await holdEscrow(Order.hydrate(orders[0]));
+  await releaseEscrow(orders[0]._id, { confirmedBy: 'buyer', by });
+  const posted = entries.length;
+
+  assert.strictEqual(await releaseEscrow(orders[0]._id, { confirmedBy: 'auto', by }), null);
+  assert.strictEqual(entries.length, posted);
+});
+
+test('releaseEscrow leaves frozen orders alone', async () => {
+  const { orders, sellers, entries } = setup([paidOrder({ escrow: { status: 'held', frozen: true } })]);
+
+  assert.strictEqual(await releaseEscrow(orders[0]._id, { confirmedBy: 'buyer', by }), null);
+  assert.strictEqual(orders[0].escrow.status, 'held');
+  assert.strictEqual(entries.length, 0);
+  assert.strictEqual(sellers[0].wallets.USD, undefined);
+});
+
+test('releaseDueEscrows only releases shipped, unfrozen orders that are due', async () => {
+  const past = new Date(Date.now() - 1000);
+  const future = new Date(Date.now() + 60 * 60 * 1000);
+  const due = paidOrder({ escrow: { status: 'held', releaseScheduledFor: past } });
+  const notDue = paidOrder({ escrow: { status: 'held', releaseScheduledFor: future } });
+  const frozen = paidOrder({ escrow: { status: 'held', releaseScheduledFor: past, frozen: true } });
+  const unshipped = paidOrder({
+    status: 'processing',
+    shipping: { status: 'processing' },
+    escrow: { status: 'held', releaseScheduledFor: past }
+  });
+
+  const { orders } = setup([due, notDue, frozen, unshipped]);
+  mock.method(console, 'log', () => {});
+
+  assert.strictEqual(await releaseDueEscrows(), 1);
+  assert.deepStrictEqual(orders.map(order => order.escrow.status), ['released', 'held', 'held', 'held']);
+  assert.strictEqual(orders[0].deliveryConfirmedBy, 'auto');
+});
+
+// An order the seller hasn't shipped yet, with escrow held
+const unshippedOrder = () => paidOrder({ status: 'processing', shipping: { status: 'processing' } });
+
+const cancel = (order, itemIds) =>
+  cancelOrderItems(order._id, itemIds, { cancelledBy: 'buyer', actorId: order.buyer.userId, reason: 'Changed my mind' });
+
+test('cancelOrderItems refunds what the buyer paid and returns the discount to the platform', async () => {
+  const { orders, sellers, products, entries } = setup([unshippedOrder()]);
+  const [, discounted] = orders[0].items;
+
+  await holdEscrow(Order.hydrate(orders[0]));
+  const { order, cancelledItems } = await cancel(orders[0], [discounted._id]);
+
+  assert.strictEqual(cancelledItems.length, 1);
+  assert.strictEqual(order.items[1].status, 'cancelled');
+  assert.strictEqual(order.payment.status, 'partially_refunded');
+  // 20 paid for the line plus 3 tax
+  assert.strictEqual(order.payment.refundedAmount, 23);
+  assert.strictEqual(order.items[1].tax.refunded, 3);
+
+  assertJournalsBalance(entries);
+  const totals = accountTotals(entries);
+  assert.strictEqual(totals[`seller_pending:${sellerId}`], 50);
+  assert.strictEqual(totals.platform_escrow, -50);
+  assert.strictEqual(totals.platform_fees, 0);
+  assert.strictEqual(totals.tax_payable, 0);
+  assert.strictEqual(wallet(sellers).pendingBalance, 50);
+
+  assert.deepStrictEqual(products.map(product => product.stock), [5, 6]);
+});
+
+test('cancelOrderItems refunds each item once and closes a fully cancelled order', async () => {
+  const { orders, sellers, entries } = setup([unshippedOrder()]);
+  const itemIds = orders[0].items.map(line => line._id);
+
+  await holdEscrow(Order.hydrate(orders[0]));
+  await cancel(orders[0], [itemIds[0]]);
+  const { order, cancelledItems } = await cancel(orders[0], itemIds);
+
+  assert.deepStrictEqual(cancelledItems.map(line => String(line._id)), [String(itemIds[1])]);
+  assert.strictEqual(order.status, 'cancelled');
+  assert.strictEqual(order.escrow.status, 'refunded');
+  assert.strictEqual(order.payment.status, 'refunded');
+  assert.strictEqual(order.payment.refundedAmount, 73);
+
+  assertJournalsBalance(entries);
+  const totals = accountTotals(entries);
+  assert.strictEqual(totals[`seller_pending:${sellerId}`], 0);
+  assert.strictEqual(totals.platform_escrow, 0);
+  assert.strictEqual(wallet(sellers).pendingBalance, 0);
+});
+
+test('cancelOrderItems leaves shipped orders alone', async () => {
+  const { orders, entries } = setup([paidOrder()]);
+
+  const { cancelledItems } = await cancel(orders[0], [orders[0].items[0]._id]);
+
+  assert.strictEqual(cancelledItems.length, 0);
+  assert.strictEqual(orders[0].items[0].status, 'active');
+  assert.strictEqual(entries.length, 0);
+});
+
+test('settleItems splits disputed items between buyer and seller and keeps the ledger balanced', async () => {
+  const { orders, sellers, products, entries } = setup([paidOrder()]);
+  const [full, discounted] = orders[0].items;
+
+  await holdEscrow(Order.hydrate(orders[0]));
+  const { order, settledItems } = await settleItems(orders[0]._id, [
+    { itemId: full._id, refund: 20 },
+    { itemId: discounted._id, refund: 30 }
+  ], { by, reason: 'Dispute resolved' });
+
+  // 30 of the first line is released, paying 3 of its 5 commission; the
+  // buyer gets back the 20 they paid for the second line and its tax
+  assert.deepStrictEqual(
+    settledItems.map(({ refund, payout, commission }) => ({ refund, payout, commission })),
+    [{ refund: 20, payout: 30, commission: 3 }, { refund: 23, payout: 0, commission: 0 }]
+  );
+  assert.deepStrictEqual(order.items.map(line => line.status), ['released', 'refunded']);
+  assert.strictEqual(order.status, 'completed');
+  assert.strictEqual(order.escrow.status, 'released');
+  assert.strictEqual(order.payment.status, 'partially_refunded');
+  assert.strictEqual(order.payment.refundedAmount, 43);
+
+  assertJournalsBalance(entries);
+  const totals = accountTotals(entries);
+  assert.strictEqual(totals[`seller_pending:${sellerId}`], 0);
+  assert.strictEqual(totals[`seller_available:${sellerId}`], 27);
+  assert.strictEqual(totals.platform_fees, 3);
+  assert.strictEqual(totals.platform_escrow, -30);
+  assert.strictEqual(totals.tax_payable, 0);
+  assert.deepStrictEqual(
+    { pending: wallet(sellers).pendingBalance, balance: wallet(sellers).balance, earnings: wallet(sellers).totalEarnings },
+    { pending: 0, balance: 27, earnings: 27 }
+  );
+
+  // Only the released line counts as a sale
+  assert.deepStrictEqual(products.map(product => product.sales), [1, 0]);
+});
+
+test('settleItems settles each item once', async () => {
+  const { orders, sellers, entries } = setup([paidOrder()]);
+  const settlements = [{ itemId: orders[0].items[0]._id, refund: 50 }];
+
+  await holdEscrow(Order.hydrate(orders[0]));
+  await settleItems(orders[0]._id, settlements, { by, reason: 'Dispute resolved' });
+  const posted = entries.length;
+  const { settledItems } = await settleItems(orders[0]._id, settlements, { by, reason: 'Dispute resolved' });
+
+  assert.strictEqual(settledItems.length, 0);
+  assert.strictEqual(entries.length, posted);
+  assert.strictEqual(orders[0].payment.refundedAmount, 50);
+  assert.strictEqual(wallet(sellers).pendingBalance, 30);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('node:events');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent } = require('../middleware/idempotency');
+const { fakeModel } = require('./support/fakeModel');
+
+const { mock } = test;
+const userId = String(new mongoose.Types.ObjectId());
+
+const request = (body = { items: [1] }) => ({
+  method: 'POST',
+  originalUrl: '/api/orders',
+  headers: { 'idempotency-key': 'checkout-1' },
+  user: { id: userId },
+  body
+});
+
+function response() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+// Run the middleware; route (if it is reached) answers the request
+async function run(req, route = () => {}) {
+  const res = response();
+  let handled = false;
+
+  await idempotent(req, res, () => {
+    handled = true;
+    route(res);
+  });
+  // Let the stored response be written
+  await new Promise(setImmediate);
+
+  return { res, handled };
+}
+
+const created = (res) => res.status(201).json({ success: true, orderId: 'order-1' });
+
+test.afterEach(() => mock.restoreAll());
+
+test('idempotent replays the stored response for a retried request', async () => {
+  const keys = fakeModel(IdempotencyKey, [], { unique: ['key', 'userId'] });
+
+  const first = await run(request(), created);
+  const retry = await run(request(), created);
+
+  assert.strictEqual(first.handled, true);
+  assert.strictEqual(retry.handled, false);
+  assert.strictEqual(retry.res.statusCode, 201);
+  assert.deepStrictEqual(retry.res.body, { success: true, orderId: 'order-1' });
+  assert.strictEqual(retry.res.headers['Idempotent-Replayed'], 'true');
+  assert.strictEqual(keys[0].status, 'completed');
+});
+
+test('idempotent rejects a key reused for a different request', async () => {
+  fakeModel(IdempotencyKey, [], { unique: ['key', 'userId'] });
+
+  await run(request(), created);
+  const reused = await run(request({ items: [2] }), created);
+
+  assert.strictEqual(reused.handled, false);
+  assert.strictEqual(reused.res.statusCode, 422);
+});
+
+test('idempotent refuses a retry while the first request holds its lease', async () => {
+  fakeModel(IdempotencyKey, [], { unique: ['key', 'userId'] });
+
+  const first = await run(request());
+  const retry = await run(request(), created);
+
+  assert.strictEqual(first.handled, true);
+  assert.strictEqual(retry.handled, false);
+  assert.strictEqual(retry.res.statusCode, 409);
+});
+
+test('idempotent lets a retry take over a key whose lease has run out', async () => {
+  const keys = fakeModel(IdempotencyKey, [], { unique: ['key', 'userId'] });
+
+  await run(request());
+  // The first request's server went away mid-request
+  keys[0].lockedUntil = new Date(Date.now() - 1000);
+
+  const retry = await run(request(), created);
+
+  assert.strictEqual(retry.handled, true);
+  assert.strictEqual(retry.res.statusCode, 201);
+  assert.ok(keys[0].lockedUntil > new Date());
+  assert.strictEqual(keys[0].status, 'completed');
+});
+
+test('idempotent frees the key after a server error or a dropped connection', async () => {
+  const keys = fakeModel(IdempotencyKey, [], { unique: ['key', 'userId'] });
+
+  await run(request(), (res) => res.status(500).json({ success: false }));
+  assert.strictEqual(keys.length, 0);
+
+  const dropped = await run(request());
+  dropped.res.emit('close');
+  assert.strictEqual(keys.length, 0);
+
+  const retry = await run(request(), created);
+  assert.strictEqual(retry.handled, true);
+});
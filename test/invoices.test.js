@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Seller = require('../models/Seller');
+const { ensureInvoice, renderInvoice, invoiceFilename } = require('../utils/invoices');
+const { fakeModel, fakeSessions } = require('./support/fakeModel');
+
+const { mock } = test;
+const id = () => new mongoose.Types.ObjectId();
+
+const sellerA = id();
+const sellerB = id();
+
+// A sub-order for 20 USD
+const subOrder = (sellerId, paymentStatus = 'completed') => ({
+  _id: id(),
+  orderNumber: `ORD-${sellerId.toString().slice(-4)}`,
+  sellerId,
+  buyer: { userId: id(), name: 'Ada Buyer', email: 'ada@example.com' },
+  items: [{ productId: id(), sellerId, name: 'Mug', quantity: 2, price: 10, subtotal: 20 }],
+  payment: { method: 'card', currency: 'USD', amount: 20, status: paymentStatus }
+});
+
+// Sets up in-memory collections; returns their raw documents
+function setup(orders) {
+  fakeSessions();
+
+  return {
+    sellers: fakeModel(Seller, [
+      { _id: sellerA, storeName: 'A', email: 'a@example.com', country: 'GB' },
+      { _id: sellerB, storeName: 'B', email: 'b@example.com', country: 'GB' }
+    ]),
+    orders: fakeModel(Order, orders)
+  };
+}
+
+test.afterEach(() => mock.restoreAll());
+
+test('ensureInvoice numbers paid sub-orders from each seller\'s own sequence', async () => {
+  const orders = [subOrder(sellerA), subOrder(sellerB), subOrder(sellerA)];
+  setup(orders);
+
+  const numbers = [];
+  for (const order of orders) {
+    numbers.push((await ensureInvoice(order._id)).invoice.number);
+  }
+
+  assert.deepStrictEqual(numbers, ['INV-000001', 'INV-000001', 'INV-000002']);
+});
+
+test('ensureInvoice keeps an issued number and skips unpaid orders', async () => {
+  const paid = subOrder(sellerA);
+  const unpaid = subOrder(sellerA, 'pending');
+  const { sellers } = setup([paid, unpaid]);
+
+  const first = await ensureInvoice(paid._id);
+  const again = await ensureInvoice(paid._id);
+
+  assert.strictEqual(again.invoice.number, first.invoice.number);
+  assert.strictEqual(sellers[0].invoiceSequence, 1);
+
+  const skipped = await ensureInvoice(unpaid._id);
+  assert.strictEqual(skipped.invoice.number, undefined);
+  assert.strictEqual(sellers[0].invoiceSequence, 1);
+});
+
+test('renderInvoice renders a PDF named after the invoice number', async () => {
+  const order = subOrder(sellerA);
+  setup([order]);
+
+  const invoiced = await ensureInvoice(order._id);
+  const pdf = await renderInvoice(invoiced, await Seller.findById(sellerA));
+
+  assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.strictEqual(invoiceFilename(invoiced), 'invoice-INV-000001.pdf');
+});
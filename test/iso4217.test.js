@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isCurrencyCode, minorUnits, roundAmount } = require('../utils/iso4217');
+
+test('isCurrencyCode only accepts ISO 4217 codes', () => {
+  assert.strictEqual(isCurrencyCode('USD'), true);
+  assert.strictEqual(isCurrencyCode('usd'), false);
+  assert.strictEqual(isCurrencyCode('XYZ'), false);
+});
+
+test('minorUnits follows the currency', () => {
+  assert.strictEqual(minorUnits('USD'), 2);
+  assert.strictEqual(minorUnits('JPY'), 0);
+  assert.strictEqual(minorUnits('KWD'), 3);
+  assert.strictEqual(minorUnits('CLF'), 4);
+});
+
+test('roundAmount rounds to the minor unit', () => {
+  assert.strictEqual(roundAmount(10.006, 'USD'), 10.01);
+  assert.strictEqual(roundAmount(0.1 + 0.2, 'USD'), 0.3);
+  assert.strictEqual(roundAmount(1234.5, 'JPY'), 1235);
+  assert.strictEqual(roundAmount(1.23456, 'KWD'), 1.235);
+  assert.strictEqual(roundAmount(-2.346, 'EUR'), -2.35);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Seller = require('../models/Seller');
+const { post, postEscrowHold, reconcile, backfillOpeningBalances } = require('../utils/ledger');
+const { fakeModel, fakeSessions } = require('./support/fakeModel');
+
+const { mock } = test;
+const id = () => new mongoose.Types.ObjectId();
+
+const inSync = id();
+const legacy = id();
+
+// Ledger totals as the aggregations return them: inSync's wallet matches
+// its stored wallet; legacy's wallet predates the ledger
+const walletRows = [
+  { _id: { sellerId: inSync, currency: 'USD', account: 'seller_available' }, debit: 5, credit: 80, earnings: 75 },
+  { _id: { sellerId: inSync, currency: 'USD', account: 'seller_pending' }, debit: 80, credit: 100, earnings: 0 }
+];
+const journalRows = [{ _id: 'USD', debit: 185, credit: 185 }];
+
+// Sets up in-memory collections; returns the ledger entries
+function setup() {
+  fakeSessions();
+  fakeModel(Seller, [
+    { _id: inSync, storeName: 'In sync', wallets: { USD: { balance: 75, pendingBalance: 20, totalEarnings: 75 } } },
+    { _id: legacy, storeName: 'Legacy', wallets: { USD: { balance: 30, pendingBalance: 10, totalEarnings: 45 } } }
+  ]);
+
+  const entries = fakeModel(LedgerEntry);
+  mock.method(LedgerEntry, 'aggregate', async (pipeline) => (pipeline[0].$match ? walletRows : journalRows));
+  return entries;
+}
+
+test.afterEach(() => mock.restoreAll());
+
+test('post refuses journals that do not balance', async () => {
+  const entries = setup();
+
+  await assert.rejects(
+    post([
+      { account: 'platform_escrow', debit: 10 },
+      { account: 'seller_pending', sellerId: inSync, credit: 9.99 }
+    ], { type: 'escrow_hold', currency: 'USD' }),
+    /Unbalanced ledger journal for escrow_hold: debits 10, credits 9.99/
+  );
+  assert.strictEqual(entries.length, 0);
+});
+
+test('post writes one journal, leaving out empty lines', async () => {
+  const entries = setup();
+
+  await postEscrowHold({ sellerId: inSync, amount: 30, platformFunded: 0, currency: 'USD', description: 'Hold' });
+
+  assert.deepStrictEqual(
+    entries.map(({ account, debit, credit }) => ({ account, debit, credit })),
+    [
+      { account: 'platform_escrow', debit: 30, credit: 0 },
+      { account: 'seller_pending', debit: 0, credit: 30 }
+    ]
+  );
+  assert.strictEqual(String(entries[0].journalId), String(entries[1].journalId));
+  assert.deepStrictEqual(await post([{ account: 'platform_fees', debit: 0 }], { type: 'commission', currency: 'USD' }), []);
+});
+
+test('reconcile reports wallets that differ from the ledger', async () => {
+  setup();
+
+  const { checkedSellers, drifted, journals } = await reconcile();
+
+  assert.strictEqual(checkedSellers, 2);
+  assert.deepStrictEqual(drifted.map(wallet => [String(wallet.sellerId), wallet.currency]), [[String(legacy), 'USD']]);
+  assert.deepStrictEqual(drifted[0].differences, {
+    pendingBalance: { stored: 10, ledger: 0, difference: 10 },
+    balance: { stored: 30, ledger: 0, difference: 30 },
+    totalEarnings: { stored: 45, ledger: 0, difference: 45 }
+  });
+  assert.deepStrictEqual(journals, [{ currency: 'USD', debit: 185, credit: 185, balanced: true }]);
+});
+
+test('backfillOpeningBalances opens drifted wallets once', async () => {
+  const entries = setup();
+  mock.method(console, 'log', () => {});
+
+  const opened = await backfillOpeningBalances();
+
+  assert.deepStrictEqual(opened.map(wallet => String(wallet.sellerId)), [String(legacy)]);
+
+  const net = (account) => entries
+    .filter(entry => entry.account === account)
+    .reduce((sum, entry) => sum + entry.credit - entry.debit, 0);
+  assert.strictEqual(net('seller_pending'), 10);
+  assert.strictEqual(net('seller_available'), 30);
+  assert.strictEqual(net('opening_balances'), -40);
+  // Earnings above the balance (money already paid out) are booked as such
+  assert.deepStrictEqual(
+    entries.filter(entry => entry.type === 'opening_earnings').map(({ account, debit, credit }) => [account, debit, credit]),
+    [['seller_available', 0, 45], ['opening_balances', 45, 0]]
+  );
+
+  // The ledger aggregations are canned, so the wallet still looks drifted
+  assert.deepStrictEqual(await backfillOpeningBalances(), []);
+  assert.strictEqual(entries.length, 5);
+});
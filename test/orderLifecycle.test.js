@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Order = require('../models/Order');
+const {
+  OrderTransitionError,
+  canTransition,
+  transitionPath,
+  checkoutStatus,
+  applyTransition,
+  transitionUpdate
+} = require('../utils/orderLifecycle');
+
+const newOrder = () => new Order({
+  orderNumber: 'ORD-1',
+  payment: { method: 'card', currency: 'USD', amount: 10 }
+});
+
+test('canTransition allows only listed moves', () => {
+  assert.strictEqual(canTransition('status', 'pending', 'confirmed'), true);
+  assert.strictEqual(canTransition('status', 'completed', 'pending'), false);
+  assert.strictEqual(canTransition('escrow.status', 'held', 'released'), true);
+  assert.strictEqual(canTransition('escrow.status', 'released', 'held'), false);
+  assert.strictEqual(canTransition('unknown', 'a', 'b'), false);
+});
+
+test('transitionPath finds the shortest chain of legal moves', () => {
+  assert.deepStrictEqual(transitionPath('status', 'confirmed', 'shipped'), ['processing', 'shipped']);
+  assert.deepStrictEqual(transitionPath('status', 'pending', 'pending'), []);
+  assert.strictEqual(transitionPath('status', 'cancelled', 'pending'), null);
+});
+
+test('checkoutStatus follows the least advanced open sub-order', () => {
+  assert.strictEqual(checkoutStatus(['shipped', 'confirmed', 'cancelled']), 'confirmed');
+  assert.strictEqual(checkoutStatus(['completed', 'refunded']), 'completed');
+  assert.strictEqual(checkoutStatus(['refunded', 'cancelled']), 'refunded');
+  assert.strictEqual(checkoutStatus(['cancelled']), 'cancelled');
+});
+
+test('applyTransition sets fields and records history', () => {
+  const order = newOrder();
+
+  applyTransition(order, { status: 'confirmed', 'payment.status': 'completed' }, {
+    by: { role: 'system' },
+    reason: 'Paid'
+  });
+
+  assert.strictEqual(order.status, 'confirmed');
+  assert.strictEqual(order.payment.status, 'completed');
+  assert.deepStrictEqual(
+    order.statusHistory.map(({ field, from, to }) => [field, from, to]),
+    [['status', 'pending', 'confirmed'], ['payment.status', 'pending', 'completed']]
+  );
+});
+
+test('applyTransition rejects illegal moves', () => {
+  assert.throws(
+    () => applyTransition(newOrder(), { status: 'delivered' }),
+    (error) => error instanceof OrderTransitionError && error.statusCode === 409
+  );
+});
+
+test('transitionUpdate pins the fields it changes', () => {
+  const order = newOrder();
+  const { filter, update } = transitionUpdate(order, { status: 'confirmed', 'escrow.status': 'pending' });
+
+  assert.deepStrictEqual(filter, { _id: order._id, status: 'pending' });
+  assert.strictEqual(update.$set.status, 'confirmed');
+  assert.strictEqual(update.$set['escrow.status'], undefined);
+  assert.strictEqual(update.$push.statusHistory.$each.length, 1);
+});
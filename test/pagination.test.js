@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const {
+  PaginationError,
+  pageOptions,
+  queryList,
+  decodeCursor,
+  seekFilter,
+  pageResult
+} = require('../utils/pagination');
+
+const keys = [['price', 1], ['createdAt', -1]];
+
+test('pageOptions caps the page size and parses numbers', () => {
+  assert.deepStrictEqual(pageOptions({}), { limit: 20, page: 1, cursor: undefined });
+  assert.deepStrictEqual(pageOptions({ limit: '500', page: '3' }), { limit: 100, page: 3, cursor: undefined });
+  assert.deepStrictEqual(pageOptions({ limit: '-5', page: 'x', cursor: ['abc'] }), { limit: 1, page: 1, cursor: 'abc' });
+});
+
+test('queryList accepts comma separated and repeated values', () => {
+  assert.deepStrictEqual(queryList('a, b'), ['a', 'b']);
+  assert.deepStrictEqual(queryList(['a', 'b,c', '']), ['a', 'b', 'c']);
+  assert.deepStrictEqual(queryList(undefined), []);
+});
+
+test('seekFilter continues after each sort key in turn', () => {
+  const id = new mongoose.Types.ObjectId();
+  const createdAt = new Date('2026-01-01');
+
+  assert.deepStrictEqual(seekFilter(keys, [5, createdAt, id]), {
+    $or: [
+      { price: { $gt: 5 } },
+      { price: 5, createdAt: { $lt: createdAt } },
+      { price: 5, createdAt, _id: { $gt: id } }
+    ]
+  });
+});
+
+test('pageResult cursors round-trip through decodeCursor', () => {
+  const items = [1, 2, 3].map(price => ({
+    _id: new mongoose.Types.ObjectId(),
+    price,
+    createdAt: new Date(2026, 0, price)
+  }));
+
+  const result = pageResult(items, { sort: 'price_asc', keys, limit: 2 });
+  assert.strictEqual(result.hasMore, true);
+  assert.strictEqual(result.items.length, 2);
+
+  const values = decodeCursor(result.nextCursor, 'price_asc', keys);
+  assert.strictEqual(values[0], 2);
+  assert.strictEqual(values[1].getTime(), items[1].createdAt.getTime());
+  assert.ok(values[2].equals(items[1]._id));
+
+  const last = pageResult(items.slice(2), { sort: 'price_asc', keys, limit: 2 });
+  assert.deepStrictEqual([last.hasMore, last.nextCursor], [false, null]);
+});
+
+test('decodeCursor rejects bad or mismatched cursors', () => {
+  const { nextCursor } = pageResult(
+    [{ _id: new mongoose.Types.ObjectId(), price: 1, createdAt: new Date() }, {}],
+    { sort: 'price_asc', keys, limit: 1 }
+  );
+
+  assert.throws(() => decodeCursor('not a cursor', 'price_asc', keys), PaginationError);
+  assert.throws(() => decodeCursor(nextCursor, 'newest', keys), PaginationError);
+  assert.throws(() => decodeCursor(nextCursor, 'price_asc', [['price', 1]]), PaginationError);
+});
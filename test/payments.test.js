@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const { handleWebhook } = require('../utils/payments');
+const mockProvider = require('../utils/payments/mock');
+const { fakeModel, fakeSessions } = require('./support/fakeModel');
+
+const { mock } = test;
+const id = () => new mongoose.Types.ObjectId();
+
+process.env.MOCK_PAYMENT_SECRET = 'test-secret';
+
+const sellerId = id();
+const productId = id();
+const sessionId = 'mock_cs_1';
+
+// An unpaid checkout for 20 USD with one sub-order
+function checkout() {
+  const parentId = id();
+  const subOrderId = id();
+  const buyer = { userId: id() };
+  const payment = { method: 'card', currency: 'USD', amount: 20, status: 'pending' };
+
+  return [
+    {
+      _id: parentId,
+      orderNumber: 'ORD-1',
+      buyer,
+      subOrders: [subOrderId],
+      payment: { ...payment, provider: 'mock', sessionId }
+    },
+    {
+      _id: subOrderId,
+      orderNumber: 'ORD-1-1',
+      parentOrderId: parentId,
+      sellerId,
+      buyer,
+      items: [{ productId, sellerId, name: 'Mug', quantity: 2, subtotal: 20, escrowAmount: 20 }],
+      payment
+    }
+  ];
+}
+
+// Sets up in-memory collections; returns their raw documents
+function setup() {
+  fakeSessions();
+  mock.method(console, 'error', () => {});
+
+  return {
+    orders: fakeModel(Order, checkout()),
+    sellers: fakeModel(Seller, [{ _id: sellerId, storeName: 'Mugs' }]),
+    products: fakeModel(Product, [{ _id: productId, name: 'Mug', sellerId, stock: 1 }]),
+    transactions: fakeModel(Transaction),
+    entries: fakeModel(LedgerEntry)
+  };
+}
+
+const webhook = (fields) => mockProvider.buildWebhook({
+  sessionId,
+  outcome: 'succeeded',
+  amount: 20,
+  currency: 'USD',
+  ...fields
+});
+
+// Deliver a webhook and let the emails it starts finish
+async function deliver({ rawBody, headers }) {
+  const accepted = await handleWebhook('mock', rawBody, headers);
+  await new Promise(setImmediate);
+  return accepted;
+}
+
+test.afterEach(() => mock.restoreAll());
+
+test('handleWebhook rejects webhooks that are not signed by the gateway', async () => {
+  const { orders, entries } = setup();
+  const { rawBody, headers } = webhook();
+  const forged = Buffer.from(rawBody.toString().replace('"amount":20', '"amount":0.01'));
+
+  assert.strictEqual(await deliver({ rawBody: forged, headers }), false);
+  assert.strictEqual(await deliver({ rawBody, headers: {} }), false);
+  assert.strictEqual(await deliver({ rawBody, headers: { 'x-mock-signature': 'abc' } }), false);
+
+  assert.strictEqual(orders[0].payment.status, 'pending');
+  assert.strictEqual(entries.length, 0);
+});
+
+test('handleWebhook ignores the mock gateway in production', async () => {
+  const { orders } = setup();
+  process.env.NODE_ENV = 'production';
+
+  try {
+    assert.strictEqual(await deliver(webhook()), false);
+  } finally {
+    delete process.env.NODE_ENV;
+  }
+  assert.strictEqual(orders[0].payment.status, 'pending');
+});
+
+test('handleWebhook confirms a payment once and holds it in escrow', async () => {
+  const { orders, sellers, entries } = setup();
+  const payment = webhook();
+
+  assert.strictEqual(await deliver(payment), true);
+  const posted = entries.length;
+  // Gateways retry webhooks
+  assert.strictEqual(await deliver(payment), true);
+
+  const [parent, subOrder] = orders;
+  assert.strictEqual(parent.payment.status, 'completed');
+  assert.strictEqual(parent.status, 'confirmed');
+  assert.strictEqual(subOrder.escrow.status, 'held');
+  assert.ok(subOrder.escrow.releaseScheduledFor > new Date());
+  assert.strictEqual(subOrder.invoice.number, 'INV-000001');
+
+  assert.strictEqual(entries.length, posted);
+  assert.strictEqual(sellers[0].wallets.USD.pendingBalance, 20);
+  assert.strictEqual(parent.payment.review, undefined);
+});
+
+test('handleWebhook flags payments that do not match the order', async () => {
+  const { orders, entries } = setup();
+
+  assert.strictEqual(await deliver(webhook({ amount: 2 })), true);
+
+  assert.strictEqual(orders[0].payment.status, 'pending');
+  assert.strictEqual(orders[0].payment.review.reason, 'amount_mismatch');
+  assert.strictEqual(entries.length, 0);
+});
+
+test('handleWebhook voids a failed payment and flags money taken afterwards', async () => {
+  const { orders, products } = setup();
+
+  assert.strictEqual(await deliver(webhook({ outcome: 'failed' })), true);
+
+  assert.strictEqual(orders[0].payment.status, 'failed');
+  assert.strictEqual(orders[1].status, 'cancelled');
+  assert.strictEqual(products[0].stock, 3);
+
+  assert.strictEqual(await deliver(webhook()), true);
+
+  assert.strictEqual(orders[0].payment.status, 'failed');
+  assert.strictEqual(orders[0].payment.review.reason, 'paid_after_void');
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Currency = require('../models/Currency');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const Seller = require('../models/Seller');
+const Transaction = require('../models/Transaction');
+const { requestPayout, updatePayoutStatus } = require('../utils/payouts');
+const { fakeModel, fakeSessions } = require('./support/fakeModel');
+
+const { mock } = test;
+const id = () => new mongoose.Types.ObjectId();
+
+const sellerId = id();
+const accountId = id();
+const adminId = id();
+
+// Sets up in-memory collections for a seller with 100 USD available;
+// returns their raw documents
+function setup() {
+  fakeSessions();
+  fakeModel(Currency);
+
+  return {
+    sellers: fakeModel(Seller, [{
+      _id: sellerId,
+      storeName: 'Lamps',
+      wallets: { USD: { balance: 100, pendingBalance: 0, totalEarnings: 100 } },
+      bankAccounts: [{ _id: accountId, currency: 'USD', bankName: 'Bank', accountNumber: '12345678' }]
+    }]),
+    payouts: fakeModel(Payout),
+    transactions: fakeModel(Transaction),
+    entries: fakeModel(LedgerEntry)
+  };
+}
+
+const request = (amount) => requestPayout({ sellerId, currency: 'USD', amount, accountId });
+
+// Net credit of each account
+const accountTotals = (entries) => entries.reduce((totals, entry) => ({
+  ...totals,
+  [entry.account]: (totals[entry.account] || 0) + entry.credit - entry.debit
+}), {});
+
+test.afterEach(() => mock.restoreAll());
+
+test('requestPayout reserves the amount out of the wallet balance', async () => {
+  const { sellers, payouts, transactions, entries } = setup();
+
+  const payout = await request(60);
+
+  assert.strictEqual(payout.status, 'requested');
+  assert.strictEqual(sellers[0].wallets.USD.balance, 40);
+  assert.strictEqual(payouts.length, 1);
+  assert.deepStrictEqual(
+    transactions.map(({ type, amount, status }) => ({ type, amount, status })),
+    [{ type: 'withdrawal', amount: 60, status: 'pending' }]
+  );
+  assert.strictEqual(String(payouts[0].transactionId), String(transactions[0]._id));
+  assert.deepStrictEqual(accountTotals(entries), { seller_available: -60, seller_payouts: 60 });
+});
+
+test('requestPayout never pays out more than the balance', async () => {
+  const { sellers, payouts } = setup();
+
+  const results = await Promise.allSettled([request(60), request(60)]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.message, 'Insufficient balance');
+  assert.strictEqual(sellers[0].wallets.USD.balance, 40);
+  assert.strictEqual(payouts.length, 1);
+});
+
+test('requestPayout enforces the minimum payout and the account currency', async () => {
+  setup();
+
+  await assert.rejects(request(5), { name: 'PayoutError', message: 'Minimum payout is 10 USD' });
+  await assert.rejects(
+    requestPayout({ sellerId, currency: 'EUR', amount: 50, accountId }),
+    { name: 'PayoutError', message: 'This bank account receives USD, not EUR' }
+  );
+});
+
+test('updatePayoutStatus returns rejected payouts to the wallet', async () => {
+  const { sellers, transactions, entries } = setup();
+  const payout = await request(60);
+
+  await updatePayoutStatus(payout._id, 'rejected', { adminId, note: 'Wrong account' });
+
+  assert.strictEqual(sellers[0].wallets.USD.balance, 100);
+  assert.strictEqual(transactions[0].status, 'failed');
+  assert.deepStrictEqual(accountTotals(entries), { seller_available: 0, seller_payouts: 0 });
+  await assert.rejects(
+    updatePayoutStatus(payout._id, 'approved', { adminId }),
+    { statusCode: 409, message: 'Cannot change payout from rejected to approved' }
+  );
+});
+
+test('updatePayoutStatus pays approved payouts out of the platform', async () => {
+  const { sellers, payouts, transactions, entries } = setup();
+  const payout = await request(60);
+
+  await updatePayoutStatus(payout._id, 'approved', { adminId });
+  await updatePayoutStatus(payout._id, 'paid', { adminId, reference: 'BANK-1' });
+
+  assert.strictEqual(payouts[0].status, 'paid');
+  assert.strictEqual(payouts[0].reference, 'BANK-1');
+  assert.deepStrictEqual(payouts[0].history.map(entry => entry.status), ['requested', 'approved', 'paid']);
+  assert.strictEqual(sellers[0].wallets.USD.balance, 40);
+  assert.strictEqual(transactions[0].status, 'completed');
+
+  const totals = accountTotals(entries);
+  assert.strictEqual(totals.seller_payouts, 0);
+  assert.strictEqual(totals.platform_escrow, 60);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Currency = require('../models/Currency');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const router = require('../routes/products');
+const { fakeModel } = require('./support/fakeModel');
+
+const { mock } = test;
+const id = () => new mongoose.Types.ObjectId();
+
+const sellerId = id();
+
+// The route's own handler, after authentication and uploads
+function handler(method, path) {
+  const layer = router.stack.find(({ route }) => route && route.path === path && route.methods[method]);
+  return layer.route.stack.at(-1).handle;
+}
+
+async function call(method, { id: productId, userId = sellerId, body = {} }) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(payload) {
+      res.body = payload;
+      return res;
+    }
+  };
+
+  await handler(method, '/:id')({ params: { id: String(productId) }, user: { id: String(userId) }, body, files: [] }, res);
+  return res;
+}
+
+const product = (fields) => ({
+  _id: id(),
+  sellerId,
+  name: 'Shirt',
+  description: 'Cotton shirt',
+  category: 'Fashion',
+  price: { amount: 10, currency: 'USD' },
+  stock: 5,
+  isActive: true,
+  ...fields
+});
+
+// Sets up in-memory collections; returns their raw documents
+function setup(products, orders = []) {
+  fakeModel(Currency);
+  mock.method(Coupon, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+  return {
+    products: fakeModel(Product, products),
+    orders: fakeModel(Order, orders)
+  };
+}
+
+test.afterEach(() => mock.restoreAll());
+
+test('deleting an ordered product archives it so its orders keep their history', async () => {
+  const ordered = product();
+  const { products } = setup([ordered], [{
+    _id: id(),
+    orderNumber: 'ORD-1',
+    sellerId,
+    buyer: { userId: id() },
+    items: [{ productId: ordered._id, sellerId, name: 'Shirt', quantity: 1, subtotal: 10 }],
+    payment: { method: 'card', currency: 'USD', amount: 10 }
+  }]);
+
+  const res = await call('delete', { id: ordered._id });
+
+  assert.strictEqual(res.body.archived, true);
+  assert.strictEqual(products.length, 1);
+  assert.strictEqual(products[0].isActive, false);
+});
+
+test('deleting a product nobody ordered removes it', async () => {
+  const unordered = product();
+  const { products } = setup([unordered]);
+
+  const res = await call('delete', { id: unordered._id });
+
+  assert.strictEqual(res.body.archived, false);
+  assert.strictEqual(products.length, 0);
+});
+
+test('sellers can only change their own products', async () => {
+  const { products } = setup([product()]);
+
+  const res = await call('put', { id: products[0]._id, userId: id(), body: { stock: 0 } });
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(products[0].stock, 5);
+});
+
+test('bad edits are refused with 400 and change nothing', async () => {
+  const sized = product({
+    options: [{ name: 'Size', values: ['S'] }],
+    variants: [{ _id: id(), sku: 'SHIRT-S', options: { Size: 'S' }, stock: 5 }]
+  });
+  const { products } = setup([sized]);
+
+  const cases = [
+    [{ stock: 9 }, 'This product has variants, please set the stock of each variant'],
+    [{ stock: -1 }, 'Stock must be a whole number of 0 or more'],
+    [{ price: 'free' }, 'Price must be a number of 0 or more'],
+    [{ currency: 'XYZ' }, 'Prices in XYZ are not supported']
+  ];
+
+  for (const [body, message] of cases) {
+    const res = await call('patch', { id: sized._id, body });
+    assert.deepStrictEqual([res.statusCode, res.body.message], [400, message]);
+  }
+
+  assert.strictEqual(products[0].stock, 5);
+  assert.strictEqual(products[0].price.amount, 10);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { words, deletions, productSearchTokens } = require('../utils/searchTokens');
+const { searchTerms } = require('../utils/search');
+
+test('words lowercases, strips accents and splits on punctuation', () => {
+  assert.deepStrictEqual(words('Crème Brûlée, 2-Pack!'), ['creme', 'brulee', '2', 'pack']);
+  assert.deepStrictEqual(words(null), []);
+});
+
+test('deletions skips short words', () => {
+  assert.deepStrictEqual(deletions('cat'), []);
+  assert.deepStrictEqual(deletions('book'), ['ook', 'bok', 'boo']);
+});
+
+test('productSearchTokens builds whole word, prefix and typo tokens', () => {
+  const tokens = productSearchTokens({
+    name: 'Blue Phone',
+    tags: ['Android'],
+    description: 'A great phone'
+  });
+
+  for (const token of ['n:blue', 'n:phone', 'np:ph', 'np:phon', 'nd:phne', 't:android', 'tp:and', 'x:great']) {
+    assert.ok(tokens.includes(token), token);
+  }
+
+  // Descriptions are only matched as whole words
+  assert.ok(!tokens.includes('xp:gr'));
+  assert.ok(!tokens.some(token => token.startsWith('xd:')));
+  // Prefixes start at two letters
+  assert.ok(!tokens.includes('np:b'));
+  assert.strictEqual(new Set(tokens).size, tokens.length);
+});
+
+test('searchTerms ignores single letters and repeats', () => {
+  assert.deepStrictEqual(searchTerms('a phone a case phone'), ['phone', 'case']);
+  assert.deepStrictEqual(searchTerms('a b'), []);
+  assert.deepStrictEqual(searchTerms('iphone 7'), ['iphone', '7']);
+});
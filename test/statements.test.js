@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const { decodeCursor } = require('../utils/pagination');
+const { listTransactions, monthlyStatement, statementToCSV } = require('../utils/statements');
+
+const { mock } = test;
+const sellerId = String(new mongoose.Types.ObjectId());
+
+// A transaction as the running balance stages return it
+const row = (day, fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  createdAt: new Date(`2026-03-${day}T12:00:00Z`),
+  status: 'completed',
+  currency: 'USD',
+  ...fields
+});
+
+// The running balances are worked out by the aggregation, which needs a
+// MongoDB server; these tests check what is done with its results.
+// aggregate answers each call with the next of results, recording pipelines.
+function aggregateReturns(...results) {
+  const pipelines = [];
+  mock.method(Transaction, 'aggregate', async (pipeline) => {
+    pipelines.push(pipeline);
+    return results.shift();
+  });
+  return pipelines;
+}
+
+test.afterEach(() => mock.restoreAll());
+
+test('monthlyStatement totals the month and closes on the last running balance', async () => {
+  aggregateReturns(
+    [{ _id: null, balance: 10.004, pending: 5 }],
+    [
+      row('02', { type: 'escrow_release', amount: 20, balanceChange: 20, pendingChange: -20, balanceAfter: 30.0041, pendingAfter: 0 }),
+      row('03', { type: 'commission', amount: 2, balanceChange: -2, pendingChange: 0, balanceAfter: 28.0041, pendingAfter: 0 }),
+      row('09', { type: 'withdrawal', amount: 50, status: 'failed', balanceChange: 0, pendingChange: 0, balanceAfter: 28.0041, pendingAfter: 0 })
+    ]
+  );
+
+  const statement = await monthlyStatement(sellerId, { currency: 'USD', year: 2026, month: 3 });
+
+  assert.deepStrictEqual(statement.opening, { balance: 10, pending: 5 });
+  assert.deepStrictEqual(statement.closing, { balance: 28, pending: 0 });
+  // Failed payouts never left the wallet
+  assert.deepStrictEqual(statement.totals, { escrow_release: 20, commission: 2 });
+  assert.deepStrictEqual(statement.period.from, new Date('2026-03-01T00:00:00Z'));
+  assert.deepStrictEqual(statement.period.to, new Date('2026-04-01T00:00:00Z'));
+});
+
+test('monthlyStatement closes on the opening balance in a quiet month', async () => {
+  aggregateReturns([{ _id: null, balance: 12, pending: 0 }], []);
+
+  const statement = await monthlyStatement(sellerId, { currency: 'USD', year: 2026, month: 3 });
+
+  assert.deepStrictEqual(statement.closing, statement.opening);
+  assert.deepStrictEqual(statement.totals, {});
+});
+
+test('statementToCSV lists running balances between the opening and closing rows', async () => {
+  aggregateReturns(
+    [{ _id: null, balance: 10, pending: 0 }],
+    [row('02', { type: 'refund', amount: 5, description: '=HYPERLINK("x")', balanceChange: 0, pendingChange: -5, balanceAfter: 10, pendingAfter: -5 })]
+  );
+
+  const statement = await monthlyStatement(sellerId, { currency: 'USD', year: 2026, month: 3 });
+  const lines = statementToCSV(statement).trim().split('\n');
+
+  assert.strictEqual(lines.length, 4);
+  assert.strictEqual(lines[1], '2026-03-01,Opening balance,,,,,,,10,0');
+  // Descriptions that spreadsheets would run as formulas stay text
+  assert.strictEqual(lines[2], '2026-03-02,Refund,"\'=HYPERLINK(""x"")",,completed,5,0,-5,10,-5');
+  assert.strictEqual(lines[3], '2026-03-31,Closing balance,,,,,,,10,-5');
+});
+
+test('listTransactions pages newest first and rounds balances to the currency', async () => {
+  const rows = [
+    row('03', { type: 'commission', amount: 2, balanceAfter: 28.0041, pendingAfter: 0 }),
+    row('02', { type: 'escrow_release', amount: 20, balanceAfter: 30.0041, pendingAfter: 0 }),
+    row('01', { type: 'escrow_hold', amount: 20, balanceAfter: 10.0041, pendingAfter: 20 })
+  ];
+  const pipelines = aggregateReturns(
+    [{ transactions: rows, total: [{ count: 3 }] }],
+    [{ transactions: rows.slice(2), total: [{ count: 3 }] }]
+  );
+
+  const first = await listTransactions(sellerId, { limit: 2 });
+
+  assert.deepStrictEqual(first.transactions.map(transaction => transaction.balanceAfter), [28, 30]);
+  assert.deepStrictEqual(
+    { ...first.paging, nextCursor: undefined },
+    { total: 3, totalPages: 2, currentPage: 1, limit: 2, hasMore: true, nextCursor: undefined }
+  );
+
+  const second = await listTransactions(sellerId, { limit: 2, cursor: first.paging.nextCursor });
+
+  assert.strictEqual(second.paging.hasMore, false);
+  assert.strictEqual(second.paging.currentPage, null);
+
+  // The next page carries on after the last transaction shown
+  const [createdAt, _id] = decodeCursor(first.paging.nextCursor, 'newest', [['createdAt', -1]]);
+  assert.deepStrictEqual(createdAt, rows[1].createdAt);
+  assert.strictEqual(String(_id), String(rows[1]._id));
+
+  const page = pipelines[1].at(-1).$facet.transactions;
+  assert.ok(page[0].$match.$or);
+  assert.deepStrictEqual(page.slice(1), [{ $sort: { createdAt: -1, _id: 1 } }, { $skip: 0 }, { $limit: 3 }]);
+});
@@ -0,0 +1,257 @@
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+
+// In-memory stand-ins for Mongoose models, for tests that exercise code
+// which reads and writes the database. Documents are kept as plain objects;
+// filters support the operators the app uses ($in, $nin, $ne, $gt(e),
+// $lt(e), $elemMatch, $not, $exists, $and, $or) and updates support $set,
+// $inc and $push, including the positional $ of the matched array element.
+// Reads return hydrated documents, so .get() and .items.id() work as usual.
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+const isPlain = (value) => value !== null && typeof value === 'object' &&
+  !Array.isArray(value) && !isObjectId(value) && !(value instanceof Date);
+
+// Copy a raw document, keeping ids and dates as they are
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (isPlain(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+// Comparable form of a value: ids as strings, dates as numbers
+function comparable(value) {
+  if (isObjectId(value)) return String(value);
+  if (value instanceof Date) return value.getTime();
+  return value === undefined ? null : value;
+}
+
+const same = (a, b) => comparable(a) === comparable(b);
+
+// Every value at a path, looking into arrays on the way (items.sellerId)
+function valuesAt(value, path) {
+  if (path.length === 0) return [value];
+  if (Array.isArray(value)) return value.flatMap(item => valuesAt(item, path));
+  if (!isPlain(value)) return [undefined];
+
+  const [key, ...rest] = path;
+  const next = value[key];
+
+  if (rest.length === 0 && Array.isArray(next)) return [next, ...next];
+  return valuesAt(next, rest);
+}
+
+const OPERATORS = {
+  $in: (values, list) => values.some(value => list.some(item => same(value, item))),
+  $nin: (values, list) => !OPERATORS.$in(values, list),
+  $ne: (values, other) => !values.some(value => same(value, other)),
+  $gt: (values, bound) => values.some(value => value != null && comparable(value) > comparable(bound)),
+  $gte: (values, bound) => values.some(value => value != null && comparable(value) >= comparable(bound)),
+  $lt: (values, bound) => values.some(value => value != null && comparable(value) < comparable(bound)),
+  $lte: (values, bound) => values.some(value => value != null && comparable(value) <= comparable(bound)),
+  $exists: (values, exists) => values.some(value => value !== undefined) === exists,
+  $not: (values, condition) => !satisfies(values, condition),
+  $elemMatch: (values, filter) => values.some(value =>
+    Array.isArray(value) && value.some(item => matches(item, filter))
+  )
+};
+
+const isOperator = (condition) =>
+  isPlain(condition) && Object.keys(condition).some(key => key.startsWith('$'));
+
+function satisfies(values, condition) {
+  if (isOperator(condition)) {
+    return Object.entries(condition).every(([operator, argument]) => {
+      if (!OPERATORS[operator]) throw new Error(`fakeModel: unsupported operator ${operator}`);
+      return OPERATORS[operator](values, argument);
+    });
+  }
+
+  return values.some(value => same(value, condition));
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(part => matches(doc, part));
+    if (key === '$or') return condition.some(part => matches(doc, part));
+    return satisfies(valuesAt(doc, key.split('.')), condition);
+  });
+}
+
+// Index of the array element a filter matched, for the positional $
+function matchedIndex(doc, filter, arrayPath) {
+  for (const [key, condition] of Object.entries(filter)) {
+    const array = valuesAt(doc, arrayPath.split('.'))[0];
+    if (!Array.isArray(array)) continue;
+
+    if (key === arrayPath && isPlain(condition) && condition.$elemMatch) {
+      return array.findIndex(item => matches(item, condition.$elemMatch));
+    }
+    if (key.startsWith(`${arrayPath}.`)) {
+      const rest = key.slice(arrayPath.length + 1);
+      return array.findIndex(item => matches(item, { [rest]: condition }));
+    }
+  }
+
+  return -1;
+}
+
+// Resolve a path for writing, creating objects on the way and replacing $
+// with the index of the matched element
+function parentOf(doc, path, positions) {
+  const keys = path.split('.').map((key, index, all) =>
+    (key === '$' ? positions[all.slice(0, index).join('.')] : key)
+  );
+
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] === undefined) target[key] = {};
+    target = target[key];
+  }
+
+  return [target, keys[keys.length - 1]];
+}
+
+function applyUpdate(doc, update, filter) {
+  // Like Mongoose, an update without operators sets its fields
+  if (!Object.keys(update).some(key => key.startsWith('$'))) {
+    update = { $set: update };
+  }
+
+  // Find the elements $ refers to before anything changes
+  const positions = {};
+  for (const fields of Object.values(update)) {
+    for (const path of Object.keys(fields)) {
+      const keys = path.split('.');
+      const at = keys.indexOf('$');
+      if (at < 0) continue;
+
+      const arrayPath = keys.slice(0, at).join('.');
+      positions[arrayPath] = matchedIndex(doc, filter, arrayPath);
+      if (positions[arrayPath] < 0) throw new Error(`fakeModel: no element matched for ${path}`);
+    }
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      const [target, key] = parentOf(doc, path, positions);
+
+      if (operator === '$set') {
+        target[key] = clone(value);
+      } else if (operator === '$inc') {
+        target[key] = (target[key] || 0) + value;
+      } else if (operator === '$push') {
+        if (!Array.isArray(target[key])) target[key] = [];
+        target[key].push(...clone(isPlain(value) && value.$each ? value.$each : [value]));
+      } else {
+        throw new Error(`fakeModel: unsupported update ${operator}`);
+      }
+    }
+  }
+}
+
+// A chainable query resolving to value
+function query(value) {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    catch: (reject) => Promise.resolve(value).catch(reject),
+    exec: () => Promise.resolve(value)
+  };
+  for (const method of ['session', 'select', 'populate', 'sort', 'skip', 'limit', 'lean']) {
+    chain[method] = () => chain;
+  }
+  return chain;
+}
+
+// Replace Model's database methods with an in-memory collection seeded
+// with docs. unique lists fields that together form a unique index; inserts
+// that break it fail with a duplicate key error (code 11000). Returns the
+// raw documents, which tests can inspect. Undo with mock.restoreAll().
+function fakeModel(Model, docs = [], { unique } = {}) {
+  const stored = docs.map(doc => new Model(doc).toObject({ flattenMaps: true }));
+  const hydrate = (doc) => (doc ? Model.hydrate(clone(doc)) : null);
+  const first = (filter) => stored.find(doc => matches(doc, filter));
+
+  const insert = (input) => {
+    const doc = new Model(input).toObject({ flattenMaps: true });
+
+    if (unique && first(Object.fromEntries(unique.map(field => [field, doc[field]])))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+
+    stored.push(doc);
+    return hydrate(doc);
+  };
+
+  const updateFirst = (filter, update) => {
+    const doc = first(filter);
+    if (doc) applyUpdate(doc, update, filter);
+    return doc;
+  };
+
+  mock.method(Model, 'find', (filter) => query(stored.filter(doc => matches(doc, filter)).map(hydrate)));
+  mock.method(Model, 'findOne', (filter) => query(hydrate(first(filter))));
+  mock.method(Model, 'findById', (id) => query(hydrate(first({ _id: id }))));
+  mock.method(Model, 'exists', (filter) => query(first(filter) ? { _id: first(filter)._id } : null));
+  mock.method(Model, 'countDocuments', (filter) => query(stored.filter(doc => matches(doc, filter)).length));
+
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => {
+    const before = first(filter);
+    const original = before && clone(before);
+    if (before) applyUpdate(before, update, filter);
+    return query(hydrate(options.new ? before : original));
+  });
+
+  mock.method(Model, 'findByIdAndUpdate', (id, update, options) =>
+    Model.findOneAndUpdate({ _id: id }, update, options)
+  );
+
+  mock.method(Model, 'updateOne', (filter, update) => {
+    const doc = updateFirst(filter, update);
+    return query({ matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 });
+  });
+
+  mock.method(Model, 'deleteOne', (filter) => {
+    const at = stored.findIndex(doc => matches(doc, filter));
+    if (at >= 0) stored.splice(at, 1);
+    return query({ deletedCount: at >= 0 ? 1 : 0 });
+  });
+
+  mock.method(Model, 'create', async (input) =>
+    (Array.isArray(input) ? input.map(insert) : insert(input))
+  );
+
+  mock.method(Model, 'insertMany', async (input) => input.map(insert));
+
+  // Validates (running validate hooks) and stores the document
+  mock.method(Model.prototype, 'save', async function () {
+    await this.validate();
+
+    const doc = this.toObject({ flattenMaps: true });
+    const at = stored.findIndex(existing => same(existing._id, doc._id));
+    if (at < 0) stored.push(doc);
+    else stored[at] = doc;
+
+    this.isNew = false;
+    return this;
+  });
+
+  mock.method(Model.prototype, 'deleteOne', function () {
+    return Model.deleteOne({ _id: this._id });
+  });
+
+  return stored;
+}
+
+// Run transactions in memory: withTransaction calls fn with a fake session
+function fakeSessions() {
+  mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {}
+  }));
+}
+
+module.exports = { fakeModel, fakeSessions, matches };
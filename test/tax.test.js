@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rateFor, applyTax } = require('../utils/tax');
+
+const rule = (fields) => ({
+  rate: 20,
+  categoryRates: [{ category: 'Books', rate: 0 }, { category: 'Food', rate: 5 }],
+  taxShipping: false,
+  ...fields
+});
+
+test('rateFor uses a category rate when there is one', () => {
+  assert.strictEqual(rateFor(rule(), 'Books'), 0);
+  assert.strictEqual(rateFor(rule(), 'Food'), 5);
+  assert.strictEqual(rateFor(rule(), 'Electronics'), 20);
+});
+
+test('applyTax taxes each line after its discount', () => {
+  const entries = [
+    { product: { category: 'Electronics' }, line: { subtotal: 100, shippingFee: 10, discount: { amount: 10 } } },
+    { product: { category: 'Food' }, line: { subtotal: 33.33, shippingFee: 0 } },
+    { product: { category: 'Books' }, line: { subtotal: 20, shippingFee: 5 } }
+  ];
+
+  assert.strictEqual(applyTax(rule(), entries, 'USD'), 19.67);
+  assert.deepStrictEqual(entries.map(({ line }) => line.tax), [
+    { rate: 20, amount: 18 },
+    { rate: 5, amount: 1.67 },
+    { rate: 0, amount: 0 }
+  ]);
+});
+
+test('applyTax includes shipping when the rule taxes it', () => {
+  const entries = [{ product: { category: 'Electronics' }, line: { subtotal: 100, shippingFee: 10 } }];
+
+  assert.strictEqual(applyTax(rule({ taxShipping: true }), entries, 'USD'), 22);
+});
+
+test('applyTax never taxes a negative amount', () => {
+  const entries = [{ product: { category: 'Electronics' }, line: { subtotal: 10, shippingFee: 0, discount: { amount: 15 } } }];
+
+  assert.strictEqual(applyTax(rule(), entries, 'USD'), 0);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const CommissionRule = require('../models/CommissionRule');
+const Currency = require('../models/Currency');
+const ExchangeRate = require('../models/ExchangeRate');
+const TaxRule = require('../models/TaxRule');
+const { createCheckout } = require('../utils/checkout');
+const { setVariants, restoreStock } = require('../utils/variants');
+const { fakeModel, fakeSessions } = require('./support/fakeModel');
+
+const { mock } = test;
+const id = () => new mongoose.Types.ObjectId();
+
+const sellerId = id();
+const small = id();
+const large = id();
+const user = { id: id(), fullName: 'Ada Buyer', email: 'ada@example.com' };
+
+// A shirt sold in two sizes; large costs more
+const shirt = () => ({
+  _id: id(),
+  sellerId,
+  name: 'Shirt',
+  category: 'Fashion',
+  price: { amount: 10, currency: 'USD' },
+  stock: 5,
+  isActive: true,
+  options: [{ name: 'Size', values: ['S', 'L'] }],
+  variants: [
+    { _id: small, sku: 'SHIRT-S', options: { Size: 'S' }, stock: 4 },
+    { _id: large, sku: 'SHIRT-L', options: { Size: 'L' }, price: { amount: 12 }, stock: 1 }
+  ]
+});
+
+// Sets up in-memory collections; returns their raw documents
+function setup(products) {
+  fakeSessions();
+  fakeModel(Seller, [{ _id: sellerId, storeName: 'Shirts', email: 's@example.com', country: 'GB' }]);
+  fakeModel(CommissionRule, [{ scope: 'default', rate: 10 }]);
+  fakeModel(Currency);
+  fakeModel(ExchangeRate);
+  fakeModel(TaxRule);
+
+  return {
+    products: fakeModel(Product, products),
+    orders: fakeModel(Order)
+  };
+}
+
+const checkout = (items) => createCheckout({
+  user,
+  items,
+  shippingAddress: { country: 'GB' },
+  paymentMethod: 'card',
+  paymentCurrency: 'USD'
+});
+
+const stockOf = (product) => [product.stock, ...product.variants.map(variant => variant.stock)];
+
+test.afterEach(() => mock.restoreAll());
+
+test('createCheckout prices and takes stock from the chosen variant', async () => {
+  const product = shirt();
+  const { products } = setup([product]);
+
+  const { subOrders } = await checkout([
+    { productId: product._id, variantId: small, quantity: 2 },
+    { productId: product._id, variantId: large, quantity: 1 }
+  ]);
+
+  assert.deepStrictEqual(subOrders[0].items.map(item => [String(item.variantId), item.variant.sku, item.subtotal]), [
+    [String(small), 'SHIRT-S', 20],
+    [String(large), 'SHIRT-L', 12]
+  ]);
+  assert.deepStrictEqual(stockOf(products[0]), [2, 2, 0]);
+});
+
+test('createCheckout refuses a sold-out variant while others are in stock', async () => {
+  const product = shirt();
+  const { products, orders } = setup([product]);
+
+  await assert.rejects(
+    checkout([{ productId: product._id, variantId: large, quantity: 2 }]),
+    { name: 'CheckoutError', statusCode: 400, message: 'Insufficient stock for Shirt (Size: L)' }
+  );
+  await assert.rejects(
+    checkout([{ productId: product._id, quantity: 1 }]),
+    { name: 'CheckoutError', statusCode: 400 }
+  );
+
+  assert.deepStrictEqual(stockOf(products[0]), [5, 4, 1]);
+  assert.strictEqual(orders.length, 0);
+});
+
+test('concurrent checkouts cannot oversell the last unit of a variant', async () => {
+  const product = shirt();
+  const { products } = setup([product]);
+
+  const results = await Promise.allSettled([
+    checkout([{ productId: product._id, variantId: large, quantity: 1 }]),
+    checkout([{ productId: product._id, variantId: large, quantity: 1 }])
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.deepStrictEqual(stockOf(products[0]), [4, 4, 0]);
+});
+
+test('restoreStock puts stock back on the variant it came from', async () => {
+  const product = shirt();
+  const { products } = setup([product]);
+
+  await restoreStock({ productId: product._id, variantId: large, quantity: 2 });
+  assert.deepStrictEqual(stockOf(products[0]), [7, 4, 3]);
+
+  // A removed variant has nowhere to put it
+  await restoreStock({ productId: product._id, variantId: id(), quantity: 2 });
+  assert.deepStrictEqual(stockOf(products[0]), [7, 4, 3]);
+});
+
+test('setVariants keeps the product stock as the total of its variants', async () => {
+  const product = shirt();
+  setup([product]);
+  const document = await Product.findById(product._id);
+
+  await setVariants(document, {
+    options: [{ name: 'Size', values: ['S', 'L'] }],
+    variants: [
+      { _id: small, sku: 'SHIRT-S', options: { Size: 'S' }, stock: 6 },
+      { sku: 'SHIRT-L2', options: { Size: 'L' }, stock: 3, price: 14 }
+    ]
+  });
+
+  assert.strictEqual(document.stock, 9);
+  assert.strictEqual(String(document.variants[0]._id), String(small));
+  assert.strictEqual(document.variants[1].price.amount, 14);
+
+  await assert.rejects(
+    setVariants(document, {
+      options: [{ name: 'Size', values: ['S', 'L'] }],
+      variants: [
+        { sku: 'A', options: { Size: 'S' }, stock: 1 },
+        { sku: 'B', options: { Size: 'S' }, stock: 1 }
+      ]
+    }),
+    { name: 'VariantError', statusCode: 400, message: 'More than one variant is Size: S' }
+  );
+});
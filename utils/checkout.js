@@ -0,0 +1,399 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const { loadRateConverter, isSupportedCurrency } = require('./currency');
+const { roundAmount } = require('./iso4217');
+const { withTransaction } = require('./dbSession');
+const { loadCommissionRules, ruleFor, commissionFor } = require('./commission');
+const { findCoupon, checkBuyerLimit, applyCoupon, redeemCoupon } = require('./coupons');
+const { paidAmount, taxAmount } = require('./escrow');
+const { findTaxRule, applyTax } = require('./tax');
+const { variantLabel, findVariant, variantPrice, reserveStock } = require('./variants');
+
+// Checkout errors carry the HTTP status the route should respond with
+class CheckoutError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.statusCode = statusCode;
+  }
+}
+
+const sameCountry = (a, b) =>
+  Boolean(a && b) && a.trim().toUpperCase() === b.trim().toUpperCase();
+
+function parseQuantity(item) {
+  const quantity = parseInt(item.quantity, 10);
+
+  if (!(quantity > 0)) {
+    throw new CheckoutError(`Invalid quantity for product ${item.productId}`);
+  }
+
+  return quantity;
+}
+
+// The variant an order line is for. Products with variants must be ordered
+// as one of them; products without can't name one.
+function variantFor(product, item) {
+  if (product.variants.length === 0) {
+    if (item.variantId) {
+      throw new CheckoutError(`${product.name} has no variants`);
+    }
+    return null;
+  }
+
+  if (!item.variantId) {
+    throw new CheckoutError(`Please choose which ${product.name} you want`);
+  }
+
+  const variant = findVariant(product, item.variantId);
+
+  if (!variant) {
+    throw new CheckoutError(`Variant not found: ${item.variantId}`, 404);
+  }
+
+  return variant;
+}
+
+const describe = (product, variant) =>
+  variant ? `${product.name} (${variantLabel(variant.options)})` : product.name;
+
+// Country each product ships from. Products without shipping.shipsFrom
+// ship from their seller's country.
+async function loadShipsFrom(products, session) {
+  const sellerIds = [...new Set(products.map(product => product.sellerId.toString()))];
+  const sellers = await Seller.find({ _id: { $in: sellerIds } })
+    .select('country')
+    .session(session || null);
+
+  const sellerCountries = new Map(sellers.map(seller => [seller._id.toString(), seller.country]));
+
+  return (product) =>
+    (product.shipping && product.shipping.shipsFrom) || sellerCountries.get(product.sellerId.toString());
+}
+
+// Shipping fee for one line: the product's domestic fee when it ships
+// within the destination country, otherwise its international fee.
+// Fees are entered in the product's price currency.
+function shippingFeeFor(product, shipsFrom, shippingAddress, paymentCurrency, convert) {
+  const fees = (product.shipping && product.shipping.shippingFee) || {};
+  const domestic = sameCountry(shipsFrom, shippingAddress && shippingAddress.country);
+  const fee = domestic ? fees.domestic : fees.international;
+
+  if (!fee) return 0;
+
+  return convert(fee, product.price.currency, paymentCurrency);
+}
+
+// Build the order line for a product (and variant, if any), priced in the
+// payment currency. convert is a rate converter's convert (see
+// utils/currency.js).
+function priceLine(product, variant, quantity, { shipsFrom, shippingAddress, paymentCurrency, convert }) {
+  const convertedPrice = convert(
+    variantPrice(product, variant),
+    product.price.currency,
+    paymentCurrency
+  );
+
+  const round = (amount) => roundAmount(amount, paymentCurrency);
+  const subtotal = round(convertedPrice * quantity);
+  const shippingFee = round(shippingFeeFor(product, shipsFrom, shippingAddress, paymentCurrency, convert));
+
+  return {
+    productId: product._id,
+    sellerId: product.sellerId,
+    variantId: variant ? variant._id : undefined,
+    name: product.name,
+    variant: variant ? { sku: variant.sku, options: variant.options } : undefined,
+    price: {
+      amount: convertedPrice,
+      currency: paymentCurrency
+    },
+    quantity,
+    subtotal,
+    shippingFee,
+    escrowAmount: round(subtotal + shippingFee)
+  };
+}
+
+// Price every product in the cart, apply the coupon, if any, and add tax for
+// the destination country. A seller-funded discount comes out of what is
+// held for the seller; a platform-funded one only lowers what the buyer pays
+// (see paidAmount). Tax is added on top and never held for the seller.
+function priceCart(products, { shipsFromOf, shippingAddress, paymentCurrency, convert, coupon, taxRule }) {
+  const entries = products.map(({ product, variant, quantity }) => ({
+    product,
+    line: priceLine(product, variant, quantity, {
+      shipsFrom: shipsFromOf(product),
+      shippingAddress,
+      paymentCurrency,
+      convert
+    })
+  }));
+
+  if (coupon) {
+    applyCoupon(coupon, entries, { paymentCurrency, convert });
+  }
+
+  for (const { line } of entries) {
+    if (line.discount && line.discount.fundedBy === 'seller') {
+      line.escrowAmount = roundAmount(line.escrowAmount - line.discount.amount, paymentCurrency);
+    }
+  }
+
+  if (taxRule) {
+    applyTax(taxRule, entries, paymentCurrency);
+  }
+
+  return entries;
+}
+
+// Group priced lines by seller and add up the totals
+function summarize(lines, currency) {
+  const round = (amount) => roundAmount(amount, currency);
+  const bySeller = new Map();
+
+  for (const line of lines) {
+    const sellerId = line.sellerId.toString();
+    if (!bySeller.has(sellerId)) {
+      bySeller.set(sellerId, {
+        sellerId,
+        items: [],
+        totals: { items: 0, shipping: 0, discount: 0, tax: 0 },
+        total: 0
+      });
+    }
+
+    const group = bySeller.get(sellerId);
+    group.items.push(line);
+    group.totals.items = round(group.totals.items + line.subtotal);
+    group.totals.shipping = round(group.totals.shipping + line.shippingFee);
+    group.totals.discount = round(group.totals.discount + (line.discount ? line.discount.amount : 0));
+    group.totals.tax = round(group.totals.tax + taxAmount(line));
+    group.total = round(group.total + paidAmount(line) + taxAmount(line));
+  }
+
+  const sellers = [...bySeller.values()];
+
+  return {
+    sellers,
+    totals: {
+      items: round(sellers.reduce((sum, group) => sum + group.totals.items, 0)),
+      shipping: round(sellers.reduce((sum, group) => sum + group.totals.shipping, 0)),
+      discount: round(sellers.reduce((sum, group) => sum + group.totals.discount, 0)),
+      tax: round(sellers.reduce((sum, group) => sum + group.totals.tax, 0))
+    },
+    total: round(sellers.reduce((sum, group) => sum + group.total, 0))
+  };
+}
+
+// Price a cart without placing an order or reserving stock
+async function quoteCheckout({ buyerId, items, shippingAddress, paymentCurrency, couponCode }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new CheckoutError('Your order has no items');
+  }
+
+  if (!(await isSupportedCurrency(paymentCurrency))) {
+    throw new CheckoutError(`Payments in ${paymentCurrency} are not supported`);
+  }
+
+  const products = [];
+
+  for (const item of items) {
+    const quantity = parseQuantity(item);
+    const product = await Product.findById(item.productId);
+
+    if (!product || !product.isActive) {
+      throw new CheckoutError(`Product not found: ${item.productId}`, 404);
+    }
+
+    const variant = variantFor(product, item);
+
+    if ((variant || product).stock < quantity) {
+      throw new CheckoutError(`Insufficient stock for ${describe(product, variant)}`);
+    }
+
+    products.push({ product, variant, quantity });
+  }
+
+  const shipsFromOf = await loadShipsFrom(products.map(({ product }) => product));
+  const { convert } = await loadRateConverter();
+
+  const coupon = await findCoupon(couponCode);
+  if (coupon) {
+    await checkBuyerLimit(coupon, buyerId);
+  }
+
+  const taxRule = await findTaxRule(shippingAddress && shippingAddress.country);
+
+  const entries = priceCart(products, { shipsFromOf, shippingAddress, paymentCurrency, convert, coupon, taxRule });
+
+  return {
+    currency: paymentCurrency,
+    coupon: coupon ? { code: coupon.code, fundedBy: coupon.fundedBy } : null,
+    tax: taxRule ? { country: taxRule.country, name: taxRule.name } : null,
+    ...summarize(entries.map(({ line }) => line), paymentCurrency)
+  };
+}
+
+// Create a checkout: a parent order plus one sub-order per seller.
+// Everything runs in one MongoDB transaction, so stock and orders commit or
+// fail together. Stock is taken with a conditional $inc (from the variant,
+// for products with variants), so concurrent checkouts cannot oversell.
+// Funds are only held in escrow once the payment gateway confirms payment
+// (see utils/payments).
+async function createCheckout({ user, items, shippingAddress, paymentMethod, paymentCurrency, couponCode }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new CheckoutError('Your order has no items');
+  }
+
+  if (!(await isSupportedCurrency(paymentCurrency))) {
+    throw new CheckoutError(`Payments in ${paymentCurrency} are not supported`);
+  }
+
+  return withTransaction((session) => placeOrders(session, {
+    user,
+    items,
+    shippingAddress,
+    paymentMethod,
+    paymentCurrency,
+    couponCode
+  }));
+}
+
+async function placeOrders(session, { user, items, shippingAddress, paymentMethod, paymentCurrency, couponCode }) {
+  const products = [];
+
+  for (const item of items) {
+    const quantity = parseQuantity(item);
+
+    const found = await Product.findById(item.productId).session(session);
+
+    if (!found || !found.isActive) {
+      throw new CheckoutError(`Product not found: ${item.productId}`, 404);
+    }
+
+    const chosen = variantFor(found, item);
+
+    // Reserve stock only if enough is left
+    const product = await reserveStock(found._id, chosen && chosen._id, quantity, session);
+
+    if (!product) {
+      throw new CheckoutError(`Insufficient stock for ${describe(found, chosen)}`);
+    }
+
+    products.push({ product, variant: chosen && product.variants.id(chosen._id), quantity });
+  }
+
+  const shipsFromOf = await loadShipsFrom(products.map(({ product }) => product), session);
+  const commissionRules = await loadCommissionRules(session);
+
+  // Refuses conversions with missing or stale rates; the rates used are
+  // stored on the orders
+  const rates = await loadRateConverter();
+  const { convert } = rates;
+
+  // Count the coupon against its caps; this fails the checkout if another
+  // order took the last redemption first
+  const coupon = await findCoupon(couponCode, session);
+  if (coupon) {
+    await redeemCoupon(coupon, user.id, session);
+  }
+
+  // Price each line, including shipping, discounts and tax, in the payment
+  // currency, and record the commission the platform will take when its
+  // escrow is released. Commission is charged on what the seller sells the
+  // item for, so only seller-funded discounts lower it.
+  const taxRule = await findTaxRule(shippingAddress && shippingAddress.country, session);
+
+  const entries = priceCart(products, { shipsFromOf, shippingAddress, paymentCurrency, convert, coupon, taxRule });
+  const lines = entries.map(({ product, line }) => {
+    const sellerDiscount = line.discount && line.discount.fundedBy === 'seller' ? line.discount.amount : 0;
+    line.commission = commissionFor(
+      ruleFor(commissionRules, product),
+      roundAmount(line.subtotal - sellerDiscount, paymentCurrency),
+      paymentCurrency,
+      convert
+    );
+    return line;
+  });
+  const couponApplied = coupon
+    ? { couponId: coupon._id, code: coupon.code, fundedBy: coupon.fundedBy }
+    : undefined;
+  const taxFor = (amount) => taxRule
+    ? { country: taxRule.country, name: taxRule.name, amount }
+    : undefined;
+  const exchangeRates = rates.record();
+  const summary = summarize(lines, paymentCurrency);
+
+  const buyer = {
+    userId: user.id,
+    name: user.fullName,
+    email: user.email,
+    phone: user.phoneNumber
+  };
+
+  const placed = {
+    field: 'status',
+    to: 'pending',
+    changedBy: { role: 'buyer', id: user.id },
+    reason: 'Order placed'
+  };
+
+  // Create the parent order (the buyer pays once for the whole checkout)
+  const order = new Order({
+    buyer,
+    shippingAddress,
+    totals: summary.totals,
+    tax: taxFor(summary.totals.tax),
+    coupon: couponApplied,
+    exchangeRates,
+    payment: {
+      method: paymentMethod,
+      currency: paymentCurrency,
+      amount: summary.total,
+      status: 'pending'
+    },
+    statusHistory: [placed]
+  });
+  await order.save({ session });
+
+  // Create one sub-order per seller, each with its own escrow and shipping
+  const subOrders = [];
+
+  for (const group of summary.sellers) {
+    const subOrder = new Order({
+      orderNumber: `${order.orderNumber}-${subOrders.length + 1}`,
+      parentOrderId: order._id,
+      sellerId: group.sellerId,
+      buyer,
+      items: group.items,
+      shippingAddress,
+      totals: group.totals,
+      tax: taxFor(group.totals.tax),
+      coupon: couponApplied,
+      exchangeRates,
+      payment: {
+        method: paymentMethod,
+        currency: paymentCurrency,
+        amount: group.total,
+        status: 'pending'
+      },
+      statusHistory: [placed]
+    });
+    await subOrder.save({ session });
+
+    subOrders.push(subOrder);
+  }
+
+  order.subOrders = subOrders.map(subOrder => subOrder._id);
+  await order.save({ session });
+
+  return { order, subOrders };
+}
+
+module.exports = {
+  CheckoutError,
+  quoteCheckout,
+  createCheckout
+};
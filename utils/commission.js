@@ -0,0 +1,62 @@
+const CommissionRule = require('../models/CommissionRule');
+const { roundAmount } = require('./iso4217');
+
+// Used when no default rule has been configured. Read when needed, since
+// .env is loaded after this module.
+const fallbackRate = () => parseFloat(process.env.DEFAULT_COMMISSION_RATE) || 0;
+
+// Load active rules, indexed for lookup
+async function loadCommissionRules(session) {
+  const rules = await CommissionRule.find({ isActive: true }).session(session || null);
+
+  return {
+    default: rules.find(rule => rule.scope === 'default'),
+    byCategory: new Map(rules
+      .filter(rule => rule.scope === 'category')
+      .map(rule => [rule.category, rule])),
+    bySeller: new Map(rules
+      .filter(rule => rule.scope === 'seller')
+      .map(rule => [rule.sellerId.toString(), rule]))
+  };
+}
+
+// Most specific rule for a product: seller, then category, then default
+function ruleFor(rules, product) {
+  return rules.bySeller.get(product.sellerId.toString()) ||
+    rules.byCategory.get(product.category) ||
+    rules.default ||
+    null;
+}
+
+// Commission on one order line, in the payment currency. Recorded on the
+// order at checkout and deducted when escrow is released. convert converts
+// fixed fees (see loadRateConverter in utils/currency.js).
+function commissionFor(rule, subtotal, paymentCurrency, convert) {
+  const round = (amount) => roundAmount(amount, paymentCurrency);
+  const rate = rule ? rule.rate : fallbackRate();
+  const fixedFee = rule && rule.fixedFee && rule.fixedFee.amount
+    ? round(convert(rule.fixedFee.amount, rule.fixedFee.currency, paymentCurrency))
+    : 0;
+
+  return {
+    rate,
+    fixedFee,
+    amount: Math.min(round(subtotal * rate / 100 + fixedFee), subtotal)
+  };
+}
+
+// Commission owed on the part of a line item released to the seller. A
+// partially refunded item only pays commission on what the seller keeps.
+function commissionOnRelease(item, released, held, currency) {
+  const amount = (item.commission && item.commission.amount) || 0;
+  if (!amount || !held) return 0;
+
+  return Math.min(roundAmount(amount * released / held, currency), released);
+}
+
+module.exports = {
+  loadCommissionRules,
+  ruleFor,
+  commissionFor,
+  commissionOnRelease
+};
@@ -0,0 +1,180 @@
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const { roundAmount } = require('./iso4217');
+
+// Coupon errors carry the HTTP status the route should respond with
+class CouponError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CouponError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Look up a code and check it can be used right now. Returns null when no
+// code was given.
+async function findCoupon(code, session) {
+  if (!code) return null;
+
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() })
+    .session(session || null);
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    throw new CouponError('Invalid coupon code');
+  }
+
+  if (coupon.startsAt && now < coupon.startsAt) {
+    throw new CouponError(`Coupon ${coupon.code} is not active yet`);
+  }
+
+  if (coupon.endsAt && now > coupon.endsAt) {
+    throw new CouponError(`Coupon ${coupon.code} has expired`);
+  }
+
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw new CouponError(`Coupon ${coupon.code} has been fully redeemed`);
+  }
+
+  return coupon;
+}
+
+// Has this buyer used up their redemptions? (Checked again atomically in
+// redeemCoupon.)
+async function checkBuyerLimit(coupon, buyerId, session) {
+  if (coupon.perBuyerLimit == null) return;
+
+  const usage = await CouponUsage.findOne({ couponId: coupon._id, buyerId })
+    .session(session || null);
+
+  if (usage && usage.count >= coupon.perBuyerLimit) {
+    throw new CouponError(`You have already used coupon ${coupon.code}`);
+  }
+}
+
+// Does the coupon apply to this product? Coupons owned by a seller only
+// ever apply to that seller's products, whatever their scope. A
+// seller-funded coupon with no seller applies to nothing, since nobody
+// would pay for the discount.
+function appliesTo(coupon, product) {
+  if (coupon.fundedBy === 'seller' && !coupon.sellerId) {
+    return false;
+  }
+
+  if (coupon.sellerId && !product.sellerId.equals(coupon.sellerId)) {
+    return false;
+  }
+
+  switch (coupon.scope) {
+    case 'platform':
+    case 'seller':
+      return true;
+    case 'category':
+      return product.category === coupon.category;
+    case 'products':
+      return coupon.productIds.some(id => id.equals(product._id));
+    default:
+      return false;
+  }
+}
+
+// Work out the coupon discount on priced order lines. entries are
+// [{ line, product }]; each eligible line gets line.discount, split in
+// proportion to its subtotal. Shipping is never discounted. convert is a
+// rate converter's convert (see utils/currency.js). Returns the total
+// discount in the payment currency.
+function applyCoupon(coupon, entries, { paymentCurrency, convert }) {
+  const round = (amount) => roundAmount(amount, paymentCurrency);
+  const eligible = entries.filter(({ product }) => appliesTo(coupon, product));
+
+  if (eligible.length === 0) {
+    throw new CouponError(`Coupon ${coupon.code} does not apply to any item in your order`);
+  }
+
+  const eligibleTotal = round(eligible.reduce((sum, { line }) => sum + line.subtotal, 0));
+
+  if (coupon.minOrderValue &&
+    eligibleTotal < convert(coupon.minOrderValue, coupon.currency, paymentCurrency)) {
+    throw new CouponError(
+      `Coupon ${coupon.code} needs a minimum spend of ${coupon.minOrderValue} ${coupon.currency}`
+    );
+  }
+
+  let discount = coupon.type === 'percentage'
+    ? eligibleTotal * Math.min(coupon.value, 100) / 100
+    : convert(coupon.value, coupon.currency, paymentCurrency);
+
+  if (coupon.type === 'percentage' && coupon.maxDiscount != null) {
+    discount = Math.min(discount, convert(coupon.maxDiscount, coupon.currency, paymentCurrency));
+  }
+
+  discount = round(Math.min(discount, eligibleTotal));
+
+  let remaining = discount;
+  eligible.forEach(({ line }, index) => {
+    const amount = index === eligible.length - 1
+      ? remaining
+      : round(discount * line.subtotal / eligibleTotal);
+    remaining = round(remaining - amount);
+
+    line.discount = { amount, fundedBy: coupon.fundedBy };
+  });
+
+  return discount;
+}
+
+// Count a redemption against the coupon's overall and per-buyer caps. Both
+// counters are claimed with conditional updates, so concurrent checkouts
+// cannot go over either cap. Pass the checkout's session.
+async function redeemCoupon(coupon, buyerId, session) {
+  const filter = { _id: coupon._id, isActive: true };
+  if (coupon.usageLimit != null) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+
+  const claimed = await Coupon.updateOne(filter, { $inc: { usedCount: 1 } }, { session });
+
+  if (claimed.modifiedCount === 0) {
+    throw new CouponError(`Coupon ${coupon.code} has been fully redeemed`);
+  }
+
+  const usageFilter = { couponId: coupon._id, buyerId };
+  if (coupon.perBuyerLimit != null) {
+    usageFilter.count = { $lt: coupon.perBuyerLimit };
+  }
+
+  try {
+    await CouponUsage.updateOne(usageFilter, { $inc: { count: 1 } }, { upsert: true, session });
+  } catch (error) {
+    // The buyer's usage exists but is at the limit, so the upsert collided
+    if (error.code === 11000) {
+      throw new CouponError(`You have already used coupon ${coupon.code}`);
+    }
+    throw error;
+  }
+}
+
+// Give a redemption back, e.g. when an unpaid checkout is voided
+async function releaseCoupon(couponId, buyerId, session) {
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+
+  await CouponUsage.updateOne(
+    { couponId, buyerId, count: { $gt: 0 } },
+    { $inc: { count: -1 } },
+    { session }
+  );
+}
+
+module.exports = {
+  CouponError,
+  findCoupon,
+  checkBuyerLimit,
+  appliesTo,
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
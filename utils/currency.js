@@ -1,33 +1,259 @@
-const axios = require('axios');
+const ExchangeRate = require('../models/ExchangeRate');
+const Currency = require('../models/Currency');
+const { isCurrencyCode, minorUnits, roundAmount } = require('./iso4217');
+const exchangeRateApi = require('./exchangeRates/exchangeRateApi');
+const manualRates = require('./exchangeRates/manual');
 
-// Free currency API
-const EXCHANGE_RATE_API = 'https://api.exchangerate-api.com/v4/latest/USD';
+// Exchange rates.
+//
+// A provider implements:
+//   name
+//   maxAge         -> how old (ms) its rates may be before orders refuse them
+//   fetchRates()   -> { base, rates, fetchedAt }; null for providers whose
+//                     rates are entered by an admin
+//
+// EXCHANGE_RATE_PROVIDER picks the provider (default exchangerate-api) and
+// EXCHANGE_RATE_MAX_AGE (ms) overrides its maxAge. Every refresh is saved as
+// an ExchangeRate snapshot, so rates survive restarts and provider outages.
+const providers = {
+  [exchangeRateApi.name]: exchangeRateApi,
+  [manualRates.name]: manualRates
+};
 
-let exchangeRates = {};
+const DEFAULT_PROVIDER = exchangeRateApi.name;
 
-// Fetch and cache exchange rates
+// How often rates are refreshed from the provider
+const REFRESH_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// Currency product prices are normalised to for sorting and filtering
+// (Product.basePrice)
+const BASE_CURRENCY = 'USD';
+
+// Accepted until an admin configures the currency list
+const DEFAULT_CURRENCIES = ['USD', 'GBP', 'EUR', 'NGN'];
+
+// How long the supported currency list is cached
+const CURRENCY_CACHE_TTL = 60 * 1000; // 1 minute
+
+// Exchange rate errors carry the HTTP status the route should respond with
+class ExchangeRateError extends Error {
+  constructor(message, statusCode = 503) {
+    super(message);
+    this.name = 'ExchangeRateError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Latest snapshot of the active provider, cached for display conversions
+let current = null;
+
+// Called with the new snapshot whenever the cached rates change
+const rateListeners = [];
+
+function onRatesChanged(listener) {
+  rateListeners.push(listener);
+}
+
+function setCurrent(snapshot) {
+  const changed = snapshot && (!current || !current._id.equals(snapshot._id));
+  current = snapshot || current;
+
+  if (changed) {
+    for (const listener of rateListeners) {
+      Promise.resolve()
+        .then(() => listener(snapshot))
+        .catch(error => console.error('❌ Exchange rate listener failed:', error.message));
+    }
+  }
+}
+
+function getProvider(name) {
+  return providers[name] || null;
+}
+
+function activeProvider() {
+  return getProvider(process.env.EXCHANGE_RATE_PROVIDER || DEFAULT_PROVIDER);
+}
+
+function latestSnapshot(provider = activeProvider()) {
+  return ExchangeRate.findOne({ provider: provider.name }).sort({ fetchedAt: -1 });
+}
+
+// Fetch rates from the active provider and save them as a snapshot. If the
+// provider is down, keep using the last saved snapshot.
 async function updateExchangeRates() {
+  const provider = activeProvider();
+
   try {
-    const response = await axios.get(EXCHANGE_RATE_API);
-    exchangeRates = response.data.rates;
-    console.log('✅ Exchange rates updated');
-    return exchangeRates;
+    if (!provider) {
+      throw new Error(`Unknown exchange rate provider ${process.env.EXCHANGE_RATE_PROVIDER}`);
+    }
+
+    if (provider.fetchRates) {
+      const { base, rates, fetchedAt } = await provider.fetchRates();
+      const latest = await latestSnapshot(provider);
+
+      // The provider only publishes new rates every so often
+      setCurrent(latest && latest.fetchedAt.getTime() === fetchedAt.getTime()
+        ? latest
+        : await ExchangeRate.create({ provider: provider.name, base, rates, fetchedAt }));
+
+      console.log('✅ Exchange rates updated');
+    } else {
+      setCurrent(await latestSnapshot(provider));
+    }
   } catch (error) {
     console.error('❌ Error fetching exchange rates:', error.message);
-    return exchangeRates;
+    if (!current && provider) {
+      setCurrent(await latestSnapshot(provider).catch(() => null));
+    }
+  }
+
+  return getExchangeRates();
+}
+
+// Save a manual rate table, merged over the previous one. rates are units
+// of each currency per one unit of base.
+async function setManualRates(rates, { base = 'USD', adminId }) {
+  const previous = await latestSnapshot(manualRates);
+  const merged = previous && previous.base === base
+    ? { ...Object.fromEntries(previous.rates), ...rates }
+    : { ...rates };
+
+  const snapshot = await ExchangeRate.create({
+    provider: manualRates.name,
+    base,
+    rates: merged,
+    setBy: adminId
+  });
+
+  if (activeProvider() === manualRates) {
+    setCurrent(snapshot);
+  }
+
+  return snapshot;
+}
+
+// Converter bound to one snapshot. Unlike convertPrice it throws when a rate
+// is missing, and remembers every rate it used so they can be stored on the
+// order (see record()). With unavailable (the reason there are no usable
+// rates) same-currency amounts still pass through, but every conversion
+// throws and there is nothing to record.
+function rateConverter(snapshot, { unavailable } = {}) {
+  const used = {};
+
+  const rateOf = (currency) => {
+    if (unavailable) {
+      throw new ExchangeRateError(unavailable);
+    }
+
+    const rate = currency === snapshot.base ? 1 : snapshot.rates.get(currency);
+
+    if (!(rate > 0)) {
+      throw new ExchangeRateError(`No exchange rate available for ${currency}`);
+    }
+
+    used[currency] = rate;
+    return rate;
+  };
+
+  return {
+    convert(amount, fromCurrency, toCurrency) {
+      if (fromCurrency === toCurrency) return amount;
+      return roundAmount(amount / rateOf(fromCurrency) * rateOf(toCurrency), toCurrency);
+    },
+
+    record() {
+      if (unavailable) return undefined;
+
+      return {
+        snapshotId: snapshot._id,
+        provider: snapshot.provider,
+        base: snapshot.base,
+        fetchedAt: snapshot.fetchedAt,
+        rates: { ...used }
+      };
+    }
+  };
+}
+
+// Rates for pricing an order. With no rates, or rates older than the
+// provider allows, the converter refuses any conversion, so orders that
+// don't need one still go through.
+async function loadRateConverter() {
+  const provider = activeProvider();
+  const snapshot = provider && await latestSnapshot(provider);
+
+  if (!snapshot) {
+    return rateConverter(null, { unavailable: 'Exchange rates are unavailable, please try again later' });
   }
+
+  const maxAge = parseInt(process.env.EXCHANGE_RATE_MAX_AGE, 10) || provider.maxAge;
+
+  if (Date.now() - snapshot.fetchedAt.getTime() > maxAge) {
+    return rateConverter(snapshot, { unavailable: 'Exchange rates are out of date, please try again later' });
+  }
+
+  return rateConverter(snapshot);
 }
 
-// Convert price from one currency to another
+// Convert price from one currency to another for display, using the cached
+// rates. Returns the amount unconverted if a rate is missing; anything that
+// charges money uses loadRateConverter instead.
 function convertPrice(amount, fromCurrency, toCurrency) {
-  if (!exchangeRates[fromCurrency] || !exchangeRates[toCurrency]) {
+  if (fromCurrency === toCurrency || !current) {
+    return amount;
+  }
+
+  try {
+    return rateConverter(current).convert(amount, fromCurrency, toCurrency);
+  } catch (error) {
     return amount;
   }
+}
+
+// Multipliers converting each currency the cached rates cover into
+// toCurrency, e.g. { USD: 1, NGN: 0.00065 } for USD. Only toCurrency itself
+// is covered when there are no rates for it.
+function conversionFactors(toCurrency) {
+  const factors = { [toCurrency]: 1 };
+  if (!current) return factors;
+
+  const rates = [[current.base, 1], ...current.rates];
+  const toRate = Object.fromEntries(rates)[toCurrency];
+
+  if (!(toRate > 0)) return factors;
 
-  const amountInUSD = amount / exchangeRates[fromCurrency];
-  const convertedAmount = amountInUSD * exchangeRates[toCurrency];
-  
-  return Math.round(convertedAmount * 100) / 100;
+  for (const [code, rate] of rates) {
+    if (rate > 0) factors[code] = toRate / rate;
+  }
+
+  return factors;
+}
+
+// A price ({ amount, currency }) in BASE_CURRENCY with the cached rates, or
+// null if there is no rate for its currency
+function basePrice(price) {
+  const factor = conversionFactors(BASE_CURRENCY)[price.currency];
+  return factor ? price.amount * factor : null;
+}
+
+// A price ({ amount, currency }) for display in toCurrency, with its symbol.
+// Prices with no rate stay in their own currency (converted: false). Pass
+// conversionFactors(toCurrency) when formatting many prices.
+function displayPrice(price, toCurrency, factors = conversionFactors(toCurrency)) {
+  const factor = factors[price.currency];
+  const currency = factor ? toCurrency : price.currency;
+  const amount = factor ? roundAmount(price.amount * factor, toCurrency) : price.amount;
+  const symbol = getCurrencySymbol(currency);
+
+  return {
+    amount,
+    currency,
+    symbol,
+    formatted: `${symbol}${amount.toLocaleString()}`,
+    converted: Boolean(factor)
+  };
 }
 
 // Get currency symbol
@@ -48,19 +274,80 @@ function getCurrencySymbol(currencyCode) {
     'BRL': 'R$',
     'MXN': 'Mex$'
   };
-  
+
   return symbols[currencyCode] || currencyCode + ' ';
 }
 
-// Update rates every hour
-setInterval(updateExchangeRates, 60 * 60 * 1000);
+// Supported currencies, from the admin-managed list
+let supportedCache = null;
+
+async function getSupportedCurrencies() {
+  if (supportedCache && Date.now() - supportedCache.loadedAt < CURRENCY_CACHE_TTL) {
+    return supportedCache.currencies;
+  }
+
+  const configured = await Currency.find().sort({ code: 1 });
+  const currencies = configured.length > 0
+    ? configured.filter(currency => currency.isActive).map(currency => currency.toObject())
+    : DEFAULT_CURRENCIES.map(code => ({ code, isActive: true }));
+
+  for (const currency of currencies) {
+    currency.symbol = currency.symbol || getCurrencySymbol(currency.code).trim();
+    currency.minorUnits = minorUnits(currency.code);
+  }
+
+  supportedCache = { loadedAt: Date.now(), currencies };
+  return currencies;
+}
 
-// Initial fetch
-updateExchangeRates();
+async function getSupportedCurrency(code) {
+  const currencies = await getSupportedCurrencies();
+  return currencies.find(currency => currency.code === code) || null;
+}
+
+async function isSupportedCurrency(code) {
+  return isCurrencyCode(code) && Boolean(await getSupportedCurrency(code));
+}
+
+// Call after changing the currency list
+function clearCurrencyCache() {
+  supportedCache = null;
+}
+
+function getExchangeRates() {
+  return current ? Object.fromEntries(current.rates) : {};
+}
+
+// Start refreshing rates: load the last snapshot, then refresh every hour
+function startExchangeRateJob() {
+  const run = () => updateExchangeRates().catch(error => {
+    console.error('❌ Exchange rate refresh failed:', error.message);
+  });
+
+  setInterval(run, REFRESH_INTERVAL);
+  run();
+}
 
 module.exports = {
+  BASE_CURRENCY,
+  DEFAULT_CURRENCIES,
+  ExchangeRateError,
+  getProvider,
+  activeProvider,
+  latestSnapshot,
   updateExchangeRates,
+  setManualRates,
+  loadRateConverter,
   convertPrice,
+  conversionFactors,
+  basePrice,
+  displayPrice,
   getCurrencySymbol,
-  getExchangeRates: () => exchangeRates
-};
\ No newline at end of file
+  getExchangeRates,
+  getSupportedCurrencies,
+  getSupportedCurrency,
+  isSupportedCurrency,
+  clearCurrencyCache,
+  onRatesChanged,
+  startExchangeRateJob
+};
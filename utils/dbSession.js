@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Run fn(session) inside a MongoDB transaction and return its result.
+// The driver retries fn on transient errors, so it must be safe to re-run.
+async function withTransaction(fn) {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = { withTransaction };
@@ -0,0 +1,105 @@
+const axios = require('axios');
+const qs = require('querystring');
+
+// Transactional email through the Zoho Mail API, sent from ZOHO_EMAIL.
+// Needs ZOHO_CLIENT_ID, ZOHO_CLIENT_SECRET and ZOHO_REFRESH_TOKEN; when they
+// aren't set emails are skipped, not failed.
+
+const ZOHO_ACCOUNTS_URL = 'https://accounts.zoho.com/oauth/v2/token';
+const ZOHO_MAIL_URL = 'https://mail.zoho.com/api/accounts';
+
+// Access tokens last an hour; refresh a minute early
+const TOKEN_MARGIN = 60 * 1000;
+
+let token = null;
+let accountId = null;
+
+const isConfigured = () =>
+  Boolean(process.env.ZOHO_REFRESH_TOKEN && process.env.ZOHO_CLIENT_ID && process.env.ZOHO_CLIENT_SECRET);
+
+async function accessToken() {
+  if (token && Date.now() < token.expiresAt) {
+    return token.value;
+  }
+
+  const response = await axios.post(
+    ZOHO_ACCOUNTS_URL,
+    qs.stringify({
+      refresh_token: process.env.ZOHO_REFRESH_TOKEN,
+      client_id: process.env.ZOHO_CLIENT_ID,
+      client_secret: process.env.ZOHO_CLIENT_SECRET,
+      grant_type: 'refresh_token'
+    }),
+    { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+  );
+
+  const { access_token: value, expires_in: expiresIn = 3600 } = response.data;
+
+  if (!value) {
+    throw new Error(`Zoho token refresh failed: ${response.data.error || 'no access token'}`);
+  }
+
+  token = { value, expiresAt: Date.now() + expiresIn * 1000 - TOKEN_MARGIN };
+  return value;
+}
+
+async function mailAccountId(headers) {
+  if (!accountId) {
+    const response = await axios.get(ZOHO_MAIL_URL, { headers });
+    accountId = response.data.data[0].accountId;
+  }
+
+  return accountId;
+}
+
+// Upload one attachment; the message refers to it by where Zoho stored it
+async function uploadAttachment(account, headers, { filename, content, contentType }) {
+  const response = await axios.post(
+    `${ZOHO_MAIL_URL}/${account}/messages/attachments`,
+    content,
+    {
+      params: { fileName: filename },
+      headers: { ...headers, 'Content-Type': contentType || 'application/octet-stream' },
+      maxBodyLength: Infinity
+    }
+  );
+
+  const { storeName, attachmentPath, attachmentName } = response.data.data;
+  return { storeName, attachmentPath, attachmentName };
+}
+
+// Send an email. attachments are { filename, content: Buffer, contentType }.
+// Returns false if skipped; throws if Zoho rejects it.
+async function sendEmail({ to, subject, text, html, attachments = [] }) {
+  if (!isConfigured()) {
+    console.log(`✉️  Zoho Mail not configured, skipped email to ${to}: ${subject}`);
+    return false;
+  }
+
+  const headers = { Authorization: `Zoho-oauthtoken ${await accessToken()}` };
+  const account = await mailAccountId(headers);
+
+  const uploaded = [];
+  for (const attachment of attachments) {
+    uploaded.push(await uploadAttachment(account, headers, attachment));
+  }
+
+  await axios.post(
+    `${ZOHO_MAIL_URL}/${account}/messages`,
+    {
+      fromAddress: process.env.ZOHO_EMAIL,
+      toAddress: to,
+      subject,
+      content: html || text,
+      mailFormat: html ? 'html' : 'plaintext',
+      attachments: uploaded.length > 0 ? uploaded : undefined
+    },
+    { headers: { ...headers, 'Content-Type': 'application/json' } }
+  );
+
+  return true;
+}
+
+module.exports = {
+  sendEmail
+};
@@ -0,0 +1,602 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const Transaction = require('../models/Transaction');
+const {
+  transitionPath,
+  checkoutStatus,
+  transitionUpdate,
+  transitionPathUpdate
+} = require('./orderLifecycle');
+const { commissionOnRelease } = require('./commission');
+const { roundAmount } = require('./iso4217');
+const ledger = require('./ledger');
+const { withTransaction } = require('./dbSession');
+const { restoreStock } = require('./variants');
+
+// How often the auto-release job looks for due orders
+const AUTO_RELEASE_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+// Escrow is auto-released this long after payment is confirmed
+const ESCROW_HOLD_PERIOD = 14 * 24 * 60 * 60 * 1000; // 14 days
+
+// Items can only be cancelled before they leave the seller
+const CANCELLABLE_SHIPPING_STATUSES = ['pending', 'processing'];
+
+// Amount held in escrow for a line item (item price plus its shipping fee).
+// Orders placed before escrowAmount was recorded held the subtotal only.
+function heldAmount(item) {
+  return item.escrowAmount != null ? item.escrowAmount : item.subtotal;
+}
+
+// Part of the held amount the platform paid for (platform-funded coupons)
+function platformFunded(item) {
+  return item.discount && item.discount.fundedBy === 'platform' ? item.discount.amount : 0;
+}
+
+// Amount the buyer paid for a line item, before tax
+function paidAmount(item) {
+  return heldAmount(item) - platformFunded(item);
+}
+
+// Tax the buyer paid on a line item (held for the tax authority, not the seller)
+function taxAmount(item) {
+  return (item.tax && item.tax.amount) || 0;
+}
+
+// Take the platform's commission on an amount released to a seller. The
+// caller credits the seller's wallet with the amount less the commission.
+async function chargeCommission(order, item, commission, session) {
+  if (!(commission > 0)) return;
+
+  const currency = order.payment.currency;
+
+  await Transaction.create([{
+    orderId: order._id,
+    sellerId: item.sellerId,
+    type: 'commission',
+    amount: commission,
+    currency,
+    status: 'completed',
+    description: `Platform commission on ${item.name} for order ${order.orderNumber}`
+  }], { session });
+
+  await ledger.postCommission({
+    sellerId: item.sellerId,
+    amount: commission,
+    currency,
+    orderId: order._id,
+    description: `Commission on order ${order.orderNumber}`,
+    session
+  });
+}
+
+// Hold a paid sub-order's funds in escrow: record an escrow_hold Transaction
+// per item and credit each seller's pending balance. The caller moves
+// escrow.status to held; pass a session to run inside its transaction.
+async function holdEscrow(order, session) {
+  const currency = order.payment.currency;
+
+  for (const item of order.items) {
+    if (item.status !== 'active') continue;
+
+    await Transaction.create([{
+      orderId: order._id,
+      sellerId: item.sellerId,
+      type: 'escrow_hold',
+      amount: heldAmount(item),
+      currency,
+      status: 'pending',
+      description: `Payment held in escrow for order ${order.orderNumber}`
+    }], { session });
+
+    await Seller.updateOne(
+      { _id: item.sellerId },
+      { $inc: { [`wallets.${currency}.pendingBalance`]: heldAmount(item) } },
+      { session }
+    );
+
+    await ledger.postEscrowHold({
+      sellerId: item.sellerId,
+      amount: heldAmount(item),
+      platformFunded: platformFunded(item),
+      currency,
+      orderId: order._id,
+      description: `Escrow hold for order ${order.orderNumber}`,
+      session
+    });
+
+    await ledger.postTaxCollected({
+      amount: taxAmount(item),
+      currency,
+      orderId: order._id,
+      description: `${(order.tax && order.tax.name) || 'Tax'} collected for order ${order.orderNumber}`,
+      session
+    });
+  }
+}
+
+// Release an order's escrow to its sellers.
+// The order is validated against the lifecycle and then claimed with a single
+// conditional update, so only one caller (buyer confirmation, admin or any
+// server instance running the job) can release it. The claim, wallets, ledger
+// and transactions are written in one transaction. Returns the updated order,
+// or null if it was frozen, no longer held or another caller changed it first.
+async function releaseEscrow(orderId, options) {
+  return withTransaction((session) => release(session, orderId, options));
+}
+
+async function release(session, orderId, { confirmedBy, by, reason }) {
+  const current = await Order.findById(orderId).session(session);
+
+  if (!current || current.escrow.frozen || current.escrow.status !== 'held') {
+    return null;
+  }
+
+  const changes = {
+    status: 'completed',
+    'escrow.status': 'released'
+  };
+  if (['shipped', 'in_transit'].includes(current.shipping.status)) {
+    changes['shipping.status'] = 'delivered';
+  }
+
+  const now = Date.now();
+  const { filter, update } = transitionUpdate(current, changes, { by, reason });
+
+  filter['escrow.status'] = 'held';
+  filter['escrow.frozen'] = { $ne: true };
+  Object.assign(update.$set, {
+    deliveryConfirmed: true,
+    deliveryConfirmedBy: confirmedBy,
+    deliveryConfirmedAt: now,
+    'escrow.releasedAt': now
+  });
+  if (!current.shipping.deliveredAt) {
+    update.$set['shipping.deliveredAt'] = now;
+  }
+
+  const order = await Order.findOneAndUpdate(filter, update, { new: true, session });
+
+  if (!order) {
+    return null;
+  }
+
+  const currency = order.payment.currency;
+
+  // Release funds to sellers, less commission
+  for (const item of order.items) {
+    if (item.status !== 'active') continue;
+
+    const commission = commissionOnRelease(item, heldAmount(item), heldAmount(item), currency);
+    const earned = roundAmount(heldAmount(item) - commission, currency);
+
+    await Transaction.create([{
+      orderId: order._id,
+      sellerId: item.sellerId,
+      type: 'escrow_release',
+      amount: heldAmount(item),
+      currency,
+      status: 'completed',
+      description: confirmedBy === 'auto'
+        ? `Payment auto-released from escrow for order ${order.orderNumber}`
+        : `Payment released from escrow for order ${order.orderNumber}`
+    }], { session });
+
+    await Seller.updateOne(
+      { _id: item.sellerId },
+      {
+        $inc: {
+          [`wallets.${currency}.pendingBalance`]: -heldAmount(item),
+          [`wallets.${currency}.balance`]: earned,
+          [`wallets.${currency}.totalEarnings`]: earned
+        }
+      },
+      { session }
+    );
+
+    await ledger.postEscrowRelease({
+      sellerId: item.sellerId,
+      amount: heldAmount(item),
+      currency,
+      orderId: order._id,
+      description: `Escrow release for order ${order.orderNumber}`,
+      session
+    });
+
+    await chargeCommission(order, item, commission, session);
+    await recordSale(item, session);
+  }
+
+  if (order.parentOrderId) {
+    await syncParentOrder(order.parentOrderId, { by, reason, session });
+  }
+
+  return order;
+}
+
+// Count a released line item towards its product's sales (best_selling)
+function recordSale(item, session) {
+  return Product.updateOne(
+    { _id: item.productId },
+    { $inc: { sales: item.quantity } },
+    { session }
+  );
+}
+
+// Keep a checkout's parent order in step with its sub-orders: its status
+// follows theirs (see checkoutStatus) and its payment shows one refund total
+// for what the buyer paid.
+async function syncParentOrder(parentOrderId, { by, reason, session }) {
+  let parent = await Order.findById(parentOrderId).session(session || null);
+  if (!parent) return null;
+
+  const subOrders = await Order.find({ parentOrderId })
+    .select('status payment.refundedAmount')
+    .session(session || null);
+  if (subOrders.length === 0) return parent;
+
+  const refunded = roundAmount(
+    subOrders.reduce((sum, subOrder) => sum + (subOrder.payment.refundedAmount || 0), 0),
+    parent.payment.currency
+  );
+
+  if (refunded > 0 && refunded !== parent.payment.refundedAmount) {
+    const { filter, update } = transitionUpdate(parent, {
+      'payment.status': refunded >= parent.payment.amount ? 'refunded' : 'partially_refunded'
+    }, { by, reason });
+    update.$set['payment.refundedAmount'] = refunded;
+
+    parent = await Order.findOneAndUpdate(filter, update, { new: true, session }) || parent;
+  }
+
+  const status = checkoutStatus(subOrders.map(subOrder => subOrder.status));
+
+  if (status !== parent.status && transitionPath('status', parent.status, status)) {
+    const { filter, update } = transitionPathUpdate(parent, 'status', status, { by, reason });
+    parent = await Order.findOneAndUpdate(filter, update, { new: true, session }) || parent;
+  }
+
+  return parent;
+}
+
+// Cancel line items of an order that has not shipped yet.
+// Each item is claimed with a conditional update so it is only refunded once,
+// then its stock is restored and its escrowed amount returned: what the buyer
+// paid to the buyer, and any platform-funded discount to the platform.
+// Everything runs in one transaction, so the order, wallets, ledger and
+// transactions change together or not at all.
+// Returns the updated order and the items that were cancelled by this call.
+async function cancelOrderItems(orderId, itemIds, options) {
+  return withTransaction((session) => cancelItems(session, orderId, itemIds, options));
+}
+
+async function cancelItems(session, orderId, itemIds, { cancelledBy, actorId, reason }) {
+  const now = Date.now();
+  const cancelledItems = [];
+
+  for (const itemId of itemIds) {
+    const order = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        'escrow.status': 'held',
+        'shipping.status': { $in: CANCELLABLE_SHIPPING_STATUSES },
+        items: { $elemMatch: { _id: itemId, status: { $in: [null, 'active'] } } }
+      },
+      {
+        $set: {
+          'items.$.status': 'cancelled',
+          'items.$.cancelledBy': cancelledBy,
+          'items.$.cancelledAt': now,
+          'items.$.cancellationReason': reason,
+          updatedAt: now
+        }
+      },
+      { new: true, session }
+    );
+
+    if (!order) continue;
+
+    const item = order.items.id(itemId);
+    const currency = order.payment.currency;
+
+    // Put the stock back
+    await restoreStock(item, session);
+
+    // Reverse the pending balance added at checkout
+    await Seller.updateOne(
+      { _id: item.sellerId },
+      { $inc: { [`wallets.${currency}.pendingBalance`]: -heldAmount(item) } },
+      { session }
+    );
+
+    await Transaction.create([{
+      orderId: order._id,
+      sellerId: item.sellerId,
+      type: 'refund',
+      amount: heldAmount(item),
+      currency,
+      status: 'completed',
+      description: `Refund for cancelled item ${item.name} on order ${order.orderNumber}`
+    }], { session });
+
+    await ledger.postRefund({
+      sellerId: item.sellerId,
+      amount: heldAmount(item),
+      platformShare: platformFunded(item),
+      currency,
+      orderId: order._id,
+      description: `Refund for cancelled item ${item.name} on order ${order.orderNumber}`,
+      session
+    });
+
+    // Tax on a cancelled item is refunded in full
+    await ledger.postTaxRefund({
+      amount: taxAmount(item),
+      currency,
+      orderId: order._id,
+      description: `Tax refund for cancelled item ${item.name} on order ${order.orderNumber}`,
+      session
+    });
+
+    await Order.updateOne(
+      { _id: order._id, 'items._id': item._id },
+      {
+        $set: { 'items.$.tax.refunded': taxAmount(item) },
+        $inc: { 'payment.refundedAmount': roundAmount(paidAmount(item) + taxAmount(item), currency) }
+      },
+      { session }
+    );
+
+    cancelledItems.push(item);
+  }
+
+  let order = await Order.findById(orderId).session(session);
+
+  if (cancelledItems.length > 0) {
+    const allCancelled = order.items.every(item => item.status === 'cancelled');
+    const changes = allCancelled
+      ? { status: 'cancelled', 'escrow.status': 'refunded', 'payment.status': 'refunded' }
+      : { 'payment.status': 'partially_refunded' };
+
+    const { filter, update } = transitionUpdate(order, changes, {
+      by: { role: cancelledBy, id: actorId },
+      reason
+    });
+
+    order = await Order.findOneAndUpdate(filter, update, { new: true, session }) ||
+      await Order.findById(orderId).session(session);
+
+    if (order.parentOrderId) {
+      await syncParentOrder(order.parentOrderId, {
+        by: { role: cancelledBy, id: actorId },
+        reason,
+        session
+      });
+    }
+  }
+
+  return { order, cancelledItems };
+}
+
+// Settle disputed line items individually. Each settlement is
+// { itemId, refund }: `refund` is taken out of the item's escrowed amount and
+// the rest is released to its seller, less a proportional share of the
+// item's commission. The buyer gets at most what they paid for the item;
+// anything above that was a platform-funded discount and goes back to the
+// platform. Once no active items remain the
+// order itself is closed out as completed or refunded.
+// Pass the caller's session to settle inside its transaction; otherwise the
+// settlement runs in a transaction of its own.
+async function settleItems(orderId, settlements, options) {
+  if (options.session) {
+    return settle(options.session, orderId, settlements, options);
+  }
+
+  return withTransaction((session) => settle(session, orderId, settlements, options));
+}
+
+async function settle(session, orderId, settlements, { by, reason }) {
+  const now = Date.now();
+  const current = await Order.findById(orderId).session(session);
+  const settledItems = [];
+
+  for (const { itemId, refund } of settlements) {
+    const item = current && current.items.id(itemId);
+    if (!item) continue;
+
+    const currency = current.payment.currency;
+    const payout = roundAmount(heldAmount(item) - refund, currency);
+    const commission = commissionOnRelease(item, payout, heldAmount(item), currency);
+    const earned = roundAmount(payout - commission, currency);
+    const buyerRefund = Math.min(refund, paidAmount(item));
+    // Tax is refunded in proportion to the price refunded
+    const taxRefund = paidAmount(item) > 0
+      ? roundAmount(taxAmount(item) * buyerRefund / paidAmount(item), currency)
+      : 0;
+
+    // Claim the item so a settlement is never applied twice
+    const order = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        'escrow.status': 'held',
+        items: { $elemMatch: { _id: itemId, status: { $in: [null, 'active'] } } }
+      },
+      {
+        $set: {
+          'items.$.status': payout > 0 ? 'released' : 'refunded',
+          'items.$.tax.refunded': taxRefund,
+          updatedAt: now
+        },
+        $inc: { 'payment.refundedAmount': roundAmount(buyerRefund + taxRefund, currency) }
+      },
+      { session }
+    );
+
+    if (!order) continue;
+
+    if (refund > 0) {
+      await Transaction.create([{
+        orderId: order._id,
+        sellerId: item.sellerId,
+        type: 'refund',
+        amount: refund,
+        currency,
+        status: 'completed',
+        description: `Dispute refund for ${item.name} on order ${order.orderNumber}`
+      }], { session });
+    }
+
+    if (payout > 0) {
+      await Transaction.create([{
+        orderId: order._id,
+        sellerId: item.sellerId,
+        type: 'escrow_release',
+        amount: payout,
+        currency,
+        status: 'completed',
+        description: `Payment released from escrow after dispute on order ${order.orderNumber}`
+      }], { session });
+    }
+
+    await Seller.updateOne(
+      { _id: item.sellerId },
+      {
+        $inc: {
+          [`wallets.${currency}.pendingBalance`]: -heldAmount(item),
+          [`wallets.${currency}.balance`]: earned,
+          [`wallets.${currency}.totalEarnings`]: earned
+        }
+      },
+      { session }
+    );
+
+    await ledger.postRefund({
+      sellerId: item.sellerId,
+      amount: refund,
+      platformShare: roundAmount(refund - buyerRefund, currency),
+      currency,
+      orderId: order._id,
+      description: `Dispute refund for ${item.name} on order ${order.orderNumber}`,
+      session
+    });
+
+    await ledger.postTaxRefund({
+      amount: taxRefund,
+      currency,
+      orderId: order._id,
+      description: `Tax refund after dispute on order ${order.orderNumber}`,
+      session
+    });
+
+    await ledger.postEscrowRelease({
+      sellerId: item.sellerId,
+      amount: payout,
+      currency,
+      orderId: order._id,
+      description: `Escrow release after dispute on order ${order.orderNumber}`,
+      session
+    });
+
+    await chargeCommission(order, item, commission, session);
+
+    if (payout > 0) {
+      await recordSale(item, session);
+    }
+
+    settledItems.push({ itemId, refund: roundAmount(buyerRefund + taxRefund, currency), payout, commission });
+  }
+
+  let order = await Order.findById(orderId).session(session);
+
+  if (settledItems.length > 0) {
+    const stillActive = order.items.some(item => item.status === 'active');
+    const anyReleased = order.items.some(item => item.status === 'released');
+    const changes = {};
+
+    if (order.payment.refundedAmount > 0) {
+      changes['payment.status'] = !stillActive && !anyReleased ? 'refunded' : 'partially_refunded';
+    }
+
+    if (!stillActive) {
+      changes.status = anyReleased ? 'completed' : 'refunded';
+      changes['escrow.status'] = anyReleased ? 'released' : 'refunded';
+    }
+
+    const { filter, update } = transitionUpdate(order, changes, { by, reason });
+
+    if (!stillActive) {
+      update.$set['escrow.releasedAt'] = now;
+    }
+
+    order = await Order.findOneAndUpdate(filter, update, { new: true, session }) ||
+      await Order.findById(orderId).session(session);
+
+    if (order.parentOrderId) {
+      await syncParentOrder(order.parentOrderId, { by, reason, session });
+    }
+  }
+
+  return { order, settledItems };
+}
+
+// Release every order whose escrow.releaseScheduledFor has passed
+async function releaseDueEscrows() {
+  const dueOrders = await Order.find({
+    'escrow.status': 'held',
+    'escrow.frozen': { $ne: true },
+    'escrow.releaseScheduledFor': { $lte: new Date() },
+    // Never pay out for orders the seller has not shipped
+    'shipping.status': { $in: ['shipped', 'in_transit', 'delivered'] },
+    status: { $nin: ['cancelled', 'refunded'] }
+  }).select('_id');
+
+  let released = 0;
+
+  for (const { _id } of dueOrders) {
+    try {
+      // Another instance may have claimed it first; that's fine
+      const order = await releaseEscrow(_id, {
+        confirmedBy: 'auto',
+        by: { role: 'system' },
+        reason: 'Escrow release date reached'
+      });
+      if (order) {
+        released++;
+      }
+    } catch (error) {
+      console.error(`❌ Error auto-releasing escrow for order ${_id}:`, error.message);
+    }
+  }
+
+  if (released > 0) {
+    console.log(`✅ Auto-released escrow for ${released} order(s)`);
+  }
+
+  return released;
+}
+
+// Start the periodic auto-release job
+function startEscrowReleaseJob() {
+  const run = () => releaseDueEscrows().catch(error => {
+    console.error('❌ Escrow auto-release job failed:', error.message);
+  });
+
+  setInterval(run, AUTO_RELEASE_INTERVAL);
+  run();
+}
+
+module.exports = {
+  ESCROW_HOLD_PERIOD,
+  CANCELLABLE_SHIPPING_STATUSES,
+  heldAmount,
+  paidAmount,
+  taxAmount,
+  holdEscrow,
+  releaseEscrow,
+  syncParentOrder,
+  cancelOrderItems,
+  settleItems,
+  releaseDueEscrows,
+  startEscrowReleaseJob
+};
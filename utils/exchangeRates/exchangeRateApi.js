@@ -0,0 +1,24 @@
+const axios = require('axios');
+
+// exchangerate-api.com free endpoint, checked hourly. It publishes new rates
+// once a day. EXCHANGE_RATE_API_URL overrides the endpoint.
+
+const DEFAULT_URL = 'https://api.exchangerate-api.com/v4/latest/USD';
+
+async function fetchRates() {
+  const url = process.env.EXCHANGE_RATE_API_URL || DEFAULT_URL;
+  const response = await axios.get(url, { timeout: 10000 });
+  const { base, rates, time_last_updated: updated } = response.data;
+
+  return {
+    base: base || 'USD',
+    rates,
+    fetchedAt: updated ? new Date(updated * 1000) : new Date()
+  };
+}
+
+module.exports = {
+  name: 'exchangerate-api',
+  maxAge: 26 * 60 * 60 * 1000, // A day's rates, with a couple of hours to spare
+  fetchRates
+};
@@ -0,0 +1,8 @@
+// Rates entered by an admin (PUT /api/admin/exchange-rates). Nothing is
+// fetched; they stay valid until an admin changes them.
+
+module.exports = {
+  name: 'manual',
+  maxAge: Infinity,
+  fetchRates: null
+};
@@ -0,0 +1,338 @@
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const Seller = require('../models/Seller');
+const { withTransaction } = require('./dbSession');
+const { sendEmail } = require('./email');
+const { formatDate, moneyFormatter, tableWriter, tableHeader, toBuffer } = require('./pdf');
+const { variantLabel } = require('./variants');
+
+// Buyer receipts and seller invoices.
+//
+// A receipt covers everything the buyer paid in one checkout (a parent order
+// and its sub-orders, or a single legacy order). An invoice covers one
+// seller's sub-order and is numbered from that seller's own sequence
+// (INV-000001, INV-000002, ...), assigned once the sub-order is paid.
+
+const INVOICE_PREFIX = 'INV-';
+
+const formatInvoiceNumber = (sequence) => INVOICE_PREFIX + String(sequence).padStart(6, '0');
+
+const isPaid = (order) =>
+  ['completed', 'partially_refunded', 'refunded'].includes(order.payment.status);
+
+// Give a paid sub-order the next number in its seller's sequence. Safe to
+// call more than once: an order that already has a number keeps it. Pass
+// the caller's session so the number is only used if the order commits.
+async function issueInvoice(order, session) {
+  if (!order.sellerId || (order.invoice && order.invoice.number)) {
+    return order;
+  }
+
+  const seller = await Seller.findByIdAndUpdate(
+    order.sellerId,
+    { $inc: { invoiceSequence: 1 } },
+    { new: true, session }
+  );
+
+  if (!seller) {
+    throw new Error('Seller not found');
+  }
+
+  const issued = await Order.findOneAndUpdate(
+    { _id: order._id, 'invoice.number': null },
+    {
+      $set: {
+        'invoice.number': formatInvoiceNumber(seller.invoiceSequence),
+        'invoice.issuedAt': Date.now()
+      }
+    },
+    { new: true, session }
+  );
+
+  return issued || order;
+}
+
+// Make sure a paid sub-order has an invoice number (orders paid before
+// invoices existed get one the first time it's asked for)
+async function ensureInvoice(orderId) {
+  return withTransaction(async (session) => {
+    const order = await Order.findById(orderId).session(session);
+
+    if (!order || !isPaid(order)) {
+      return order;
+    }
+
+    return issueInvoice(order, session);
+  });
+}
+
+const ESCROW_LABELS = {
+  pending: 'Awaiting payment',
+  held: 'Held in escrow',
+  released: 'Released to seller',
+  refunded: 'Refunded'
+};
+
+const ITEM_COLUMNS = [
+  { label: 'Item', width: 170 },
+  { label: 'Qty', width: 30, align: 'right' },
+  { label: 'Unit price', width: 70, align: 'right' },
+  { label: 'Discount', width: 60, align: 'right' },
+  { label: 'Tax', width: 55, align: 'right' },
+  { label: 'Amount', width: 70, align: 'right' }
+];
+
+// Write an order's line items. Unit prices are shown in the payment
+// currency, as the buyer was charged.
+function writeItems(doc, order, { fixed }) {
+  const row = tableWriter(doc, ITEM_COLUMNS);
+  tableHeader(doc, ITEM_COLUMNS);
+
+  for (const item of order.items) {
+    const discount = item.discount ? item.discount.amount : 0;
+    const tax = item.tax ? item.tax.amount : 0;
+    let name = item.variant && item.variant.options
+      ? `${item.name} (${variantLabel(item.variant.options)})`
+      : item.name;
+    if (item.status && item.status !== 'active') name += ` - ${item.status}`;
+
+    row([
+      name,
+      item.quantity,
+      fixed(item.subtotal / item.quantity),
+      discount ? `-${fixed(discount)}` : '',
+      tax ? fixed(tax) : '',
+      fixed(item.subtotal - discount + tax)
+    ]);
+  }
+}
+
+// Totals block for an order (or a receipt across sub-orders)
+function writeTotals(doc, { items, shipping, discount, tax, total, refunded, taxName }, { money }) {
+  doc.moveDown(0.5);
+
+  const line = (label, amount) => {
+    doc.text(`${label}: ${money(amount)}`, { align: 'right' });
+  };
+
+  line('Items', items);
+  line('Shipping', shipping);
+  if (discount) line('Discount', -discount);
+  if (tax) line(taxName || 'Tax', tax);
+
+  doc.font('Helvetica-Bold');
+  line('Total', total);
+  doc.font('Helvetica');
+
+  if (refunded) line('Refunded', refunded);
+}
+
+// Totals for one order from its lines (sub-orders and legacy orders)
+function orderTotals(order) {
+  const sum = (amountOf) => order.items.reduce((total, item) => total + (amountOf(item) || 0), 0);
+
+  return {
+    items: order.totals && order.totals.items != null ? order.totals.items : sum(item => item.subtotal),
+    shipping: order.totals && order.totals.shipping != null
+      ? order.totals.shipping
+      : sum(item => item.shippingFee),
+    discount: order.totals ? order.totals.discount : 0,
+    tax: order.totals ? order.totals.tax : 0,
+    total: order.payment.amount,
+    refunded: order.payment.refundedAmount,
+    taxName: order.tax && order.tax.name
+  };
+}
+
+// Write the lines of an address, skipping any that are empty
+function writeAddress(doc, lines) {
+  lines.filter(Boolean).forEach(line => doc.text(line));
+}
+
+function writeShippingAddress(doc, address) {
+  if (!address) return;
+
+  doc.font('Helvetica-Bold').text('Ship to').font('Helvetica');
+  writeAddress(doc, [
+    address.fullName,
+    address.address,
+    [address.city, address.state, address.postalCode].filter(Boolean).join(', '),
+    address.country
+  ]);
+}
+
+function writePayment(doc, order) {
+  doc.text(`Payment: ${order.payment.status}` +
+    (order.payment.paidAt ? ` on ${formatDate(order.payment.paidAt)}` : '') +
+    ` (${order.payment.method})`);
+}
+
+// Buyer receipt for a checkout. order is a parent order or a legacy order;
+// subOrders are the parent's sub-orders with items.sellerId populated
+// (storeName), or [] for a legacy order. Resolves to a PDF Buffer.
+function renderReceipt(order, subOrders = []) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const done = toBuffer(doc);
+  const currency = order.payment.currency;
+  const format = moneyFormatter(currency);
+
+  doc.fontSize(18).text('Receipt');
+  doc.moveDown(0.5);
+  doc.fontSize(10)
+    .text(`Order: ${order.orderNumber}`)
+    .text(`Date: ${formatDate(order.createdAt)}`)
+    .text(`Buyer: ${order.buyer.name || ''} ${order.buyer.email ? `<${order.buyer.email}>` : ''}`.trim())
+    .text(`Currency: ${currency}`);
+  writePayment(doc, order);
+
+  doc.moveDown();
+  writeShippingAddress(doc, order.shippingAddress);
+
+  // One section per seller; a legacy order is a single section
+  const sections = subOrders.length > 0 ? subOrders : [order];
+
+  for (const section of sections) {
+    doc.moveDown();
+
+    if (section !== order) {
+      const seller = section.items[0] && section.items[0].sellerId;
+      doc.font('Helvetica-Bold')
+        .text(`${seller && seller.storeName ? seller.storeName : 'Seller'} - ${section.orderNumber}`)
+        .font('Helvetica');
+    }
+
+    const { status, carrier, trackingNumber } = section.shipping;
+    doc.text(`Shipping: ${status}` +
+      (trackingNumber ? ` (${[carrier, trackingNumber].filter(Boolean).join(' ')})` : ''));
+    doc.text(`Escrow: ${ESCROW_LABELS[section.escrow.status] || section.escrow.status}`);
+    doc.moveDown(0.5);
+
+    writeItems(doc, section, format);
+  }
+
+  writeTotals(doc, orderTotals(order), format);
+
+  doc.end();
+  return done;
+}
+
+// Seller invoice for a paid sub-order. Resolves to a PDF Buffer.
+function renderInvoice(order, seller) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const done = toBuffer(doc);
+  const currency = order.payment.currency;
+  const format = moneyFormatter(currency);
+
+  doc.fontSize(18).text(`Invoice ${order.invoice.number}`);
+  doc.moveDown(0.5);
+  doc.fontSize(10)
+    .text(`Issued: ${formatDate(order.invoice.issuedAt)}`)
+    .text(`Order: ${order.orderNumber}`)
+    .text(`Order date: ${formatDate(order.createdAt)}`)
+    .text(`Currency: ${currency}`);
+  writePayment(doc, order);
+  doc.text(`Escrow: ${ESCROW_LABELS[order.escrow.status] || order.escrow.status}`);
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').text('From').font('Helvetica');
+  doc.text(seller.storeName);
+  if (seller.email) doc.text(seller.email);
+  if (seller.address) {
+    const { line1, line2, city, stateProvince, postalCode } = seller.address;
+    writeAddress(doc, [line1, line2, [city, stateProvince, postalCode].filter(Boolean).join(', ')]);
+  }
+  doc.text(seller.country);
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').text('Bill to').font('Helvetica');
+  doc.text(order.buyer.name || '');
+  if (order.buyer.email) doc.text(order.buyer.email);
+  doc.moveDown(0.5);
+  writeShippingAddress(doc, order.shippingAddress);
+
+  doc.moveDown();
+  writeItems(doc, order, format);
+  writeTotals(doc, orderTotals(order), format);
+
+  doc.end();
+  return done;
+}
+
+// PDF filenames for downloads and attachments
+const receiptFilename = (order) => `receipt-${order.orderNumber}.pdf`;
+const invoiceFilename = (order) => `invoice-${order.invoice.number}.pdf`;
+
+// Email the buyer their receipt, with each seller's invoice attached
+async function sendReceiptEmail(orderId) {
+  const order = await Order.findById(orderId);
+
+  if (!order || !order.buyer.email) {
+    return false;
+  }
+
+  const subOrders = await Order.find({ parentOrderId: order._id })
+    .populate('items.sellerId', 'storeName');
+
+  const attachments = [{
+    filename: receiptFilename(order),
+    content: await renderReceipt(order, subOrders),
+    contentType: 'application/pdf'
+  }];
+
+  for (const subOrder of subOrders) {
+    if (!subOrder.invoice || !subOrder.invoice.number) continue;
+
+    const seller = await Seller.findById(subOrder.sellerId);
+    if (!seller) continue;
+
+    attachments.push({
+      filename: invoiceFilename(subOrder),
+      content: await renderInvoice(subOrder, seller),
+      contentType: 'application/pdf'
+    });
+  }
+
+  return sendEmail({
+    to: order.buyer.email,
+    subject: `Your receipt for order ${order.orderNumber}`,
+    text: `Thanks for your order. Your receipt and invoices for order ${order.orderNumber} are attached.`,
+    attachments
+  });
+}
+
+// Email each seller in a checkout the invoice for their sub-order
+async function sendInvoiceEmails(parentOrderId) {
+  const subOrders = await Order.find({ parentOrderId, 'invoice.number': { $ne: null } });
+  let sent = 0;
+
+  for (const subOrder of subOrders) {
+    const seller = await Seller.findById(subOrder.sellerId);
+    if (!seller || !seller.email) continue;
+
+    const emailed = await sendEmail({
+      to: seller.email,
+      subject: `Invoice ${subOrder.invoice.number} for order ${subOrder.orderNumber}`,
+      text: `You have a new paid order, ${subOrder.orderNumber}. Your invoice ${subOrder.invoice.number} is attached.`,
+      attachments: [{
+        filename: invoiceFilename(subOrder),
+        content: await renderInvoice(subOrder, seller),
+        contentType: 'application/pdf'
+      }]
+    });
+
+    if (emailed) sent++;
+  }
+
+  return sent;
+}
+
+module.exports = {
+  issueInvoice,
+  ensureInvoice,
+  renderReceipt,
+  renderInvoice,
+  receiptFilename,
+  invoiceFilename,
+  sendReceiptEmail,
+  sendInvoiceEmails
+};
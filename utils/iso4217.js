@@ -0,0 +1,60 @@
+// ISO 4217 currency codes and their minor units (digits after the decimal
+// point). Which of these the marketplace accepts is configured by admins
+// (see models/Currency.js); this is only the universe of valid codes.
+
+const CURRENCY_CODES = new Set(`
+  AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB
+  BRL BSD BTN BWP BYN BZD CAD CDF CHF CLF CLP CNY COP CRC CUP CVE CZK DJF DKK
+  DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD GNF GTQ GYD HKD HNL HTG
+  HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW KWD KYD KZT
+  LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MYR
+  MZN NAD NGN NIO NOK NPR NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB
+  RWF SAR SBD SCR SDG SEK SGD SHP SLE SOS SRD SSP STN SVC SYP SZL THB TJS TMT
+  TND TOP TRY TTD TWD TZS UAH UGX USD UYU UZS VES VND VUV WST XAF XCD XCG XOF
+  XPF YER ZAR ZMW ZWG
+`.trim().split(/\s+/));
+
+// Currencies whose minor unit isn't 2 decimal places
+const MINOR_UNIT_EXCEPTIONS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLF: 4
+};
+
+function isCurrencyCode(code) {
+  return CURRENCY_CODES.has(code);
+}
+
+// Number of decimal places amounts in this currency are kept to
+function minorUnits(code) {
+  return Object.prototype.hasOwnProperty.call(MINOR_UNIT_EXCEPTIONS, code)
+    ? MINOR_UNIT_EXCEPTIONS[code]
+    : 2;
+}
+
+// Round an amount to the currency's minor unit (e.g. whole yen, 3dp dinar)
+function roundAmount(amount, code) {
+  const factor = 10 ** minorUnits(code);
+  return Math.round(amount * factor) / factor;
+}
+
+// Mongoose path for a currency code
+const currencyField = (options = {}) => ({
+  type: String,
+  uppercase: true,
+  trim: true,
+  validate: {
+    validator: (code) => code == null || isCurrencyCode(code),
+    message: props => `${props.value} is not an ISO 4217 currency code`
+  },
+  ...options
+});
+
+module.exports = {
+  CURRENCY_CODES,
+  isCurrencyCode,
+  minorUnits,
+  roundAmount,
+  currencyField
+};
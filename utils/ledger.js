@@ -0,0 +1,294 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Seller = require('../models/Seller');
+const { withTransaction } = require('./dbSession');
+const { roundAmount } = require('./iso4217');
+
+// Double-entry ledger behind seller wallets.
+//
+// Asset accounts (platform_escrow) grow with debits; liability and revenue
+// accounts (seller_*, platform_fees, tax_payable) grow with credits. A seller's wallet is
+// derived from their accounts:
+//   pendingBalance = seller_pending
+//   balance        = seller_available
+//   totalEarnings  = escrow releases credited to seller_available, less commission
+//
+// Wallets that held money before the ledger existed are brought in with
+// opening journals against opening_balances (see backfillOpeningBalances).
+
+// Post one balanced journal. lines: [{ account, sellerId, debit, credit }]
+async function post(lines, { type, currency, orderId, payoutId, description, session }) {
+  const round = (amount) => roundAmount(amount, currency);
+  lines = lines.filter(line => (line.debit || 0) > 0 || (line.credit || 0) > 0);
+  if (lines.length === 0) return [];
+
+  const debits = round(lines.reduce((sum, line) => sum + (line.debit || 0), 0));
+  const credits = round(lines.reduce((sum, line) => sum + (line.credit || 0), 0));
+
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ledger journal for ${type}: debits ${debits}, credits ${credits}`);
+  }
+
+  const journalId = new mongoose.Types.ObjectId();
+
+  return LedgerEntry.insertMany(lines.map(line => ({
+    journalId,
+    account: line.account,
+    sellerId: line.sellerId,
+    currency,
+    debit: round(line.debit || 0),
+    credit: round(line.credit || 0),
+    type,
+    orderId,
+    payoutId,
+    description
+  })), { session });
+}
+
+// Buyer payment received and held for a seller. platformFunded is the part
+// of the amount the platform pays for (platform-funded coupon discounts).
+function postEscrowHold({ sellerId, amount, platformFunded = 0, ...options }) {
+  return post([
+    { account: 'platform_escrow', debit: amount - platformFunded },
+    { account: 'platform_fees', debit: platformFunded },
+    { account: 'seller_pending', sellerId, credit: amount }
+  ], { type: 'escrow_hold', ...options });
+}
+
+// Tax paid by the buyer, held for the tax authority
+function postTaxCollected({ amount, ...options }) {
+  return post([
+    { account: 'platform_escrow', debit: amount },
+    { account: 'tax_payable', credit: amount }
+  ], { type: 'tax_collected', ...options });
+}
+
+// Tax returned to the buyer with a refund
+function postTaxRefund({ amount, ...options }) {
+  return post([
+    { account: 'tax_payable', debit: amount },
+    { account: 'platform_escrow', credit: amount }
+  ], { type: 'tax_refund', ...options });
+}
+
+// Escrowed funds become available to the seller
+function postEscrowRelease({ sellerId, amount, ...options }) {
+  return post([
+    { account: 'seller_pending', sellerId, debit: amount },
+    { account: 'seller_available', sellerId, credit: amount }
+  ], { type: 'escrow_release', ...options });
+}
+
+// Platform commission taken out of a released sale
+function postCommission({ sellerId, amount, ...options }) {
+  return post([
+    { account: 'seller_available', sellerId, debit: amount },
+    { account: 'platform_fees', credit: amount }
+  ], { type: 'commission', ...options });
+}
+
+// Escrowed funds go back to the buyer, except platformShare, which goes
+// back to the platform that funded it
+function postRefund({ sellerId, amount, platformShare = 0, ...options }) {
+  return post([
+    { account: 'seller_pending', sellerId, debit: amount },
+    { account: 'platform_escrow', credit: amount - platformShare },
+    { account: 'platform_fees', credit: platformShare }
+  ], { type: 'refund', ...options });
+}
+
+// Seller requests a payout: reserve it out of the wallet balance
+function postPayoutReserved({ sellerId, amount, ...options }) {
+  return post([
+    { account: 'seller_available', sellerId, debit: amount },
+    { account: 'seller_payouts', sellerId, credit: amount }
+  ], { type: 'withdrawal', ...options });
+}
+
+// Payout sent to the seller's bank
+function postPayoutPaid({ sellerId, amount, ...options }) {
+  return post([
+    { account: 'seller_payouts', sellerId, debit: amount },
+    { account: 'platform_escrow', credit: amount }
+  ], { type: 'withdrawal_paid', ...options });
+}
+
+// Payout rejected or failed: return it to the wallet balance
+function postPayoutReturned({ sellerId, amount, ...options }) {
+  return post([
+    { account: 'seller_payouts', sellerId, debit: amount },
+    { account: 'seller_available', sellerId, credit: amount }
+  ], { type: 'withdrawal_reversal', ...options });
+}
+
+// Wallet figures per seller and currency, derived from the ledger
+async function walletBalances(match = {}) {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { sellerId: { $ne: null }, ...match } },
+    {
+      $group: {
+        _id: { sellerId: '$sellerId', currency: '$currency', account: '$account' },
+        debit: { $sum: '$debit' },
+        credit: { $sum: '$credit' },
+        earnings: {
+          $sum: {
+            $switch: {
+              branches: [
+                { case: { $eq: ['$type', 'escrow_release'] }, then: '$credit' },
+                { case: { $eq: ['$type', 'commission'] }, then: { $multiply: ['$debit', -1] } },
+                { case: { $eq: ['$type', 'opening_earnings'] }, then: { $subtract: ['$credit', '$debit'] } }
+              ],
+              default: 0
+            }
+          }
+        }
+      }
+    }
+  ]);
+
+  const wallets = new Map();
+
+  for (const row of rows) {
+    const key = `${row._id.sellerId}:${row._id.currency}`;
+    if (!wallets.has(key)) {
+      wallets.set(key, { pendingBalance: 0, balance: 0, totalEarnings: 0 });
+    }
+
+    const wallet = wallets.get(key);
+    const round = (amount) => roundAmount(amount, row._id.currency);
+    const net = round(row.credit - row.debit);
+
+    if (row._id.account === 'seller_pending') wallet.pendingBalance = net;
+    if (row._id.account === 'seller_available') {
+      wallet.balance = net;
+      wallet.totalEarnings = round(row.earnings);
+    }
+  }
+
+  return wallets;
+}
+
+// Compare every seller's stored wallets with the ledger. Returns the wallets
+// that have drifted, plus whether the ledger itself balances.
+async function reconcile() {
+  const [ledgerWallets, totals, sellers] = await Promise.all([
+    walletBalances(),
+    LedgerEntry.aggregate([
+      { $group: { _id: '$currency', debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } }
+    ]),
+    Seller.find().select('storeName email wallets')
+  ]);
+
+  const drifted = [];
+  const fields = ['pendingBalance', 'balance', 'totalEarnings'];
+
+  for (const seller of sellers) {
+    for (const [currency, stored] of seller.wallets || []) {
+      const round = (amount) => roundAmount(amount, currency);
+      const expected = ledgerWallets.get(`${seller._id}:${currency}`) ||
+        { pendingBalance: 0, balance: 0, totalEarnings: 0 };
+
+      const differences = {};
+      for (const field of fields) {
+        const difference = round((stored[field] || 0) - expected[field]);
+        if (difference !== 0) {
+          differences[field] = { stored: stored[field] || 0, ledger: expected[field], difference };
+        }
+      }
+
+      if (Object.keys(differences).length > 0) {
+        drifted.push({
+          sellerId: seller._id,
+          storeName: seller.storeName,
+          email: seller.email,
+          currency,
+          differences
+        });
+      }
+    }
+  }
+
+  return {
+    checkedSellers: sellers.length,
+    drifted,
+    journals: totals.map(total => ({
+      currency: total._id,
+      debit: roundAmount(total.debit, total._id),
+      credit: roundAmount(total.credit, total._id),
+      balanced: roundAmount(total.debit, total._id) === roundAmount(total.credit, total._id)
+    }))
+  };
+}
+
+// A journal line moving amount into an account: a credit, or a debit when
+// amount is negative
+const openingLine = (account, sellerId, amount) =>
+  (amount >= 0 ? { account, sellerId, credit: amount } : { account, sellerId, debit: -amount });
+
+// One-off migration for wallets that held money before the ledger: post
+// opening journals for whatever each stored wallet has that its ledger
+// doesn't, so reconcile() stops flagging them. Run it once, right after the
+// ledger goes live; a wallet that already has opening journals is skipped,
+// but any other drift found would be booked as an opening balance too.
+async function backfillOpeningBalances() {
+  const { drifted } = await reconcile();
+  const opened = [];
+
+  for (const { sellerId, currency, differences } of drifted) {
+    const difference = (field) => (differences[field] ? differences[field].difference : 0);
+    const pending = difference('pendingBalance');
+    const balance = difference('balance');
+    const earnings = difference('totalEarnings');
+    const options = { currency, description: 'Wallet balance from before the ledger' };
+
+    const posted = await withTransaction(async (session) => {
+      const alreadyOpened = await LedgerEntry.exists({
+        sellerId,
+        currency,
+        type: { $in: ['opening_balance', 'opening_earnings'] }
+      }).session(session);
+
+      if (alreadyOpened) return false;
+
+      // Earnings first, then the rest of the balance and the pending funds
+      await post([
+        openingLine('seller_available', sellerId, earnings),
+        openingLine('opening_balances', undefined, -earnings)
+      ], { type: 'opening_earnings', session, ...options });
+
+      await post([
+        openingLine('seller_pending', sellerId, pending),
+        openingLine('seller_available', sellerId, balance - earnings),
+        openingLine('opening_balances', undefined, -(pending + balance - earnings))
+      ], { type: 'opening_balance', session, ...options });
+
+      return true;
+    });
+
+    if (posted) {
+      opened.push({ sellerId, currency, pendingBalance: pending, balance, totalEarnings: earnings });
+    }
+  }
+
+  if (opened.length > 0) {
+    console.log(`✅ Posted opening balances for ${opened.length} wallet(s)`);
+  }
+
+  return opened;
+}
+
+module.exports = {
+  post,
+  postEscrowHold,
+  postTaxCollected,
+  postTaxRefund,
+  postEscrowRelease,
+  postCommission,
+  postRefund,
+  postPayoutReserved,
+  postPayoutPaid,
+  postPayoutReturned,
+  walletBalances,
+  reconcile,
+  backfillOpeningBalances
+};
@@ -0,0 +1,203 @@
+// Order lifecycle: the legal transitions for each of an order's status fields.
+// Every route or job that changes one of these fields goes through here, so
+// illegal moves are rejected and each change lands in order.statusHistory.
+
+const TRANSITIONS = {
+  status: {
+    pending: ['confirmed', 'processing', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered', 'completed', 'refunded'],
+    delivered: ['completed', 'refunded'],
+    completed: [],
+    cancelled: [],
+    refunded: []
+  },
+  'payment.status': {
+    pending: ['processing', 'completed', 'failed'],
+    processing: ['completed', 'failed', 'partially_refunded', 'refunded'],
+    completed: ['partially_refunded', 'refunded'],
+    partially_refunded: ['refunded'],
+    failed: [],
+    refunded: []
+  },
+  'shipping.status': {
+    pending: ['processing'],
+    processing: ['shipped'],
+    shipped: ['in_transit', 'delivered'],
+    in_transit: ['delivered'],
+    delivered: ['returned'],
+    returned: []
+  },
+  'escrow.status': {
+    pending: ['held'],
+    held: ['released', 'refunded'],
+    released: [],
+    refunded: []
+  }
+};
+
+// Order statuses a checkout (parent order) moves through while any of its
+// sub-orders is still going ahead, least advanced first
+const OPEN_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered'];
+
+class OrderTransitionError extends Error {
+  constructor(field, from, to) {
+    super(`Cannot change order ${field} from ${from} to ${to}`);
+    this.name = 'OrderTransitionError';
+    this.statusCode = 409;
+    this.field = field;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+function canTransition(field, from, to) {
+  const allowed = TRANSITIONS[field] && TRANSITIONS[field][from];
+  return Boolean(allowed && allowed.includes(to));
+}
+
+// Shortest chain of legal moves taking a field from one value to another,
+// e.g. status confirmed -> shipped is ['processing', 'shipped']. Returns
+// null if the value can't be reached.
+function transitionPath(field, from, to) {
+  const paths = new Map([[from, []]]);
+  const queue = [from];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === to) return paths.get(current);
+
+    for (const next of (TRANSITIONS[field] && TRANSITIONS[field][current]) || []) {
+      if (!paths.has(next)) {
+        paths.set(next, [...paths.get(current), next]);
+        queue.push(next);
+      }
+    }
+  }
+
+  return null;
+}
+
+// A checkout's status, derived from its sub-orders' statuses: the least
+// advanced of those still going ahead, or once every one is finished,
+// completed if any was, else refunded if any was, else cancelled.
+function checkoutStatus(statuses) {
+  const open = statuses.filter(status => OPEN_STATUSES.includes(status));
+
+  if (open.length > 0) {
+    return OPEN_STATUSES[Math.min(...open.map(status => OPEN_STATUSES.indexOf(status)))];
+  }
+
+  if (statuses.includes('completed')) return 'completed';
+  if (statuses.includes('refunded')) return 'refunded';
+  return 'cancelled';
+}
+
+// Validate a set of changes ({ 'escrow.status': 'released', ... }) against
+// the order's current values and build the matching statusHistory entries.
+// Changes to the value a field already has are ignored.
+function planTransition(order, changes, { by, reason } = {}) {
+  const set = {};
+  const history = [];
+  const changedAt = new Date();
+
+  for (const [field, to] of Object.entries(changes)) {
+    if (!TRANSITIONS[field]) {
+      throw new Error(`Unknown order status field: ${field}`);
+    }
+
+    const from = order.get(field);
+    if (from === to) continue;
+
+    if (!canTransition(field, from, to)) {
+      throw new OrderTransitionError(field, from, to);
+    }
+
+    set[field] = to;
+    history.push({
+      field,
+      from,
+      to,
+      changedBy: by,
+      reason,
+      changedAt
+    });
+  }
+
+  return { set, history };
+}
+
+// Apply changes to a loaded order document. The caller saves it.
+function applyTransition(order, changes, options) {
+  const { set, history } = planTransition(order, changes, options);
+
+  for (const [field, value] of Object.entries(set)) {
+    order.set(field, value);
+  }
+  order.statusHistory.push(...history);
+
+  return order;
+}
+
+// Build an atomic update for Order.findOneAndUpdate. The filter pins every
+// changed field to the value it was validated against, so if another request
+// moves the order first the update matches nothing instead of racing it.
+function transitionUpdate(order, changes, options) {
+  const { set, history } = planTransition(order, changes, options);
+
+  const filter = { _id: order._id };
+  for (const field of Object.keys(set)) {
+    filter[field] = order.get(field);
+  }
+
+  return {
+    filter,
+    update: {
+      $set: { ...set, updatedAt: Date.now() },
+      $push: { statusHistory: { $each: history } }
+    }
+  };
+}
+
+// Like transitionUpdate for a single field, but moves it through the
+// shortest chain of legal transitions and records every step. For fields
+// that follow others which may have moved several steps at once, such as a
+// checkout's status following its sub-orders.
+function transitionPathUpdate(order, field, to, { by, reason } = {}) {
+  const from = order.get(field);
+  const path = transitionPath(field, from, to);
+
+  if (!path) {
+    throw new OrderTransitionError(field, from, to);
+  }
+
+  const changedAt = new Date();
+  const history = path.map((step, index) => ({
+    field,
+    from: index === 0 ? from : path[index - 1],
+    to: step,
+    changedBy: by,
+    reason,
+    changedAt
+  }));
+
+  return {
+    filter: { _id: order._id, [field]: from },
+    update: {
+      $set: { [field]: to, updatedAt: Date.now() },
+      $push: { statusHistory: { $each: history } }
+    }
+  };
+}
+
+module.exports = {
+  TRANSITIONS,
+  OrderTransitionError,
+  canTransition,
+  transitionPath,
+  checkoutStatus,
+  applyTransition,
+  transitionUpdate,
+  transitionPathUpdate
+};
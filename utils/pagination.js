@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Listing pagination.
+//
+// Listings are ordered by sort keys, [[path, direction]], always ending with
+// _id so the order is stable. A cursor is an opaque token holding the sort
+// keys of the last item returned; the next page is the items after it, found
+// with a range query instead of skipping. Page numbers (skip) still work for
+// jumping to a page.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Pagination errors carry the HTTP status the route should respond with
+class PaginationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PaginationError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Page size and page number from a query string, capped at MAX_PAGE_SIZE
+function pageOptions({ limit, page, cursor }) {
+  return {
+    limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+    page: Math.max(parseInt(page, 10) || 1, 1),
+    cursor: cursor ? String(cursor) : undefined
+  };
+}
+
+// A list filter from a query string: comma separated (?status=a,b),
+// repeated (?status=a&status=b) or both
+function queryList(value) {
+  if (value === undefined || value === null) return [];
+
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+const withId = (keys) => [...keys.filter(([path]) => path !== '_id'), ['_id', 1]];
+
+function sortSpec(keys) {
+  return Object.fromEntries(withId(keys));
+}
+
+function valueAt(item, path) {
+  if (typeof item.get === 'function') return item.get(path);
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+}
+
+// Cursor pointing after item. sort names the listing order, so a cursor
+// can't be used with a different one.
+function encodeCursor(sort, keys, item) {
+  const values = withId(keys).map(([path]) => valueAt(item, path) ?? null);
+  return Buffer.from(EJSON.stringify({ s: sort, v: values }, { relaxed: false })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, keys) {
+  let decoded;
+
+  try {
+    decoded = EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+
+  if (!decoded || decoded.s !== sort || !Array.isArray(decoded.v) || decoded.v.length !== withId(keys).length) {
+    throw new PaginationError('Invalid cursor for this listing');
+  }
+
+  return decoded.v;
+}
+
+// Query for the items after a cursor: for keys a, b, _id that is
+// a after, or a equal and b after, or a and b equal and _id after
+function seekFilter(keys, values) {
+  const ordered = withId(keys);
+
+  return {
+    $or: ordered.map(([path, direction], index) => ({
+      ...Object.fromEntries(ordered.slice(0, index).map(([equalPath], at) => [equalPath, values[at]])),
+      [path]: { [direction > 0 ? '$gt' : '$lt']: values[index] }
+    }))
+  };
+}
+
+// Split a fetched page (limit + 1 items) into the page and the cursor for
+// the next one
+function pageResult(items, { sort, keys, limit }) {
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+
+  return {
+    items: page,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(sort, keys, page[page.length - 1]) : null
+  };
+}
+
+// Page through a find() listing. build customises the query (populate,
+// select). Returns the page of items, paging details for the response and
+// the total number of matching documents.
+async function paginate(Model, filter, { sort = 'newest', keys = [['createdAt', -1]], cursor, page = 1, limit = DEFAULT_PAGE_SIZE, build = (query) => query }) {
+  const seek = cursor ? seekFilter(keys, decodeCursor(cursor, sort, keys)) : null;
+
+  const items = await build(
+    Model.find(seek ? { $and: [filter, seek] } : filter)
+      .sort(sortSpec(keys))
+      .skip(cursor ? 0 : (page - 1) * limit)
+      .limit(limit + 1)
+  );
+
+  const total = await Model.countDocuments(filter);
+  const result = pageResult(items, { sort, keys, limit });
+
+  return {
+    items: result.items,
+    paging: pagingFields({ ...result, total, page, limit, cursor })
+  };
+}
+
+// Paging fields for a listing response. currentPage is only known when
+// paging by page number.
+function pagingFields({ total, page, limit, cursor, hasMore, nextCursor }) {
+  return {
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: cursor ? null : page,
+    limit,
+    hasMore,
+    nextCursor
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  PaginationError,
+  pageOptions,
+  queryList,
+  sortSpec,
+  decodeCursor,
+  seekFilter,
+  pageResult,
+  pagingFields,
+  paginate
+};
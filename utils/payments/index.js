@@ -0,0 +1,312 @@
+const Order = require('../../models/Order');
+const { ESCROW_HOLD_PERIOD, holdEscrow } = require('../escrow');
+const { transitionUpdate } = require('../orderLifecycle');
+const { withTransaction } = require('../dbSession');
+const { releaseCoupon } = require('../coupons');
+const { issueInvoice, sendReceiptEmail, sendInvoiceEmails } = require('../invoices');
+const { restoreStock } = require('../variants');
+const mockProvider = require('./mock');
+
+// Payment gateway layer.
+//
+// A provider implements:
+//   name
+//   createCheckoutSession({ order })   -> { sessionId, checkoutUrl }
+//   parseWebhook(rawBody, headers)     -> { type, sessionId, transactionId, amount, currency },
+//                                         or null if the signature is invalid
+// where type is 'payment.succeeded' or 'payment.failed'.
+//
+// Register providers below. Each payment.method uses the provider named in
+// PAYMENT_PROVIDER_<METHOD> (e.g. PAYMENT_PROVIDER_CARD), falling back to
+// PAYMENT_PROVIDER. A method with neither can't be paid. The mock provider
+// only exists outside production.
+const providers = {
+  [mockProvider.name]: mockProvider
+};
+
+// Checkouts still unpaid after this long are voided, releasing their stock
+const CHECKOUT_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
+const CHECKOUT_EXPIRY_INTERVAL = 60 * 60 * 1000; // Check hourly
+
+// Payment errors carry the HTTP status the route should respond with
+class PaymentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+  }
+}
+
+function getProvider(name) {
+  if (name === mockProvider.name && process.env.NODE_ENV === 'production') {
+    return null;
+  }
+
+  return providers[name] || null;
+}
+
+function providerForMethod(method) {
+  const name = process.env[`PAYMENT_PROVIDER_${String(method).toUpperCase()}`] ||
+    process.env.PAYMENT_PROVIDER;
+
+  return name ? getProvider(name) : null;
+}
+
+// Start a gateway checkout session for an unpaid checkout
+async function startCheckoutSession(order) {
+  const provider = providerForMethod(order.payment.method);
+
+  if (!provider) {
+    throw new PaymentError(`No payment provider configured for ${order.payment.method}`, 503);
+  }
+
+  const session = await provider.createCheckoutSession({ order });
+
+  await Order.updateOne(
+    { _id: order._id, 'payment.status': 'pending' },
+    {
+      $set: {
+        'payment.provider': provider.name,
+        'payment.sessionId': session.sessionId,
+        updatedAt: Date.now()
+      }
+    }
+  );
+
+  return { provider: provider.name, ...session };
+}
+
+const confirmStatus = (order) => (order.status === 'pending' ? { status: 'confirmed' } : {});
+
+// Mark a checkout paid, hold each sub-order's funds in escrow and issue
+// each seller's invoice. Orders still pending become confirmed; any that
+// have moved on keep their status.
+// Webhooks can be delivered more than once; only the first one that finds
+// the payment still pending does anything.
+async function confirmPayment(parentOrderId, { transactionId }) {
+  const by = { role: 'system' };
+  const reason = 'Payment confirmed by gateway';
+
+  return withTransaction(async (session) => {
+    const parent = await Order.findById(parentOrderId).session(session);
+
+    if (!parent || parent.payment.status !== 'pending') {
+      return null;
+    }
+
+    const now = Date.now();
+    const paid = {
+      'payment.transactionId': transactionId,
+      'payment.paidAt': now
+    };
+
+    const { filter, update } = transitionUpdate(
+      parent,
+      { 'payment.status': 'completed', ...confirmStatus(parent) },
+      { by, reason }
+    );
+    Object.assign(update.$set, paid);
+
+    const confirmed = await Order.findOneAndUpdate(filter, update, { new: true, session });
+    if (!confirmed) return null;
+
+    const subOrders = await Order.find({ parentOrderId: parent._id }).session(session);
+
+    for (const subOrder of subOrders) {
+      const { filter, update } = transitionUpdate(
+        subOrder,
+        { 'payment.status': 'completed', 'escrow.status': 'held', ...confirmStatus(subOrder) },
+        { by, reason }
+      );
+      Object.assign(update.$set, paid, {
+        'escrow.heldAt': now,
+        'escrow.releaseScheduledFor': new Date(now + ESCROW_HOLD_PERIOD)
+      });
+
+      const held = await Order.findOneAndUpdate(filter, update, { new: true, session });
+      await holdEscrow(held, session);
+      await issueInvoice(held, session);
+    }
+
+    return confirmed;
+  });
+}
+
+// Void an unpaid checkout: fail the payment, cancel the sub-orders and put
+// the reserved stock and any coupon redemption back.
+async function voidCheckout(parentOrderId, { by, reason }) {
+  return withTransaction(async (session) => {
+    const parent = await Order.findById(parentOrderId).session(session);
+
+    if (!parent || parent.payment.status !== 'pending') {
+      return null;
+    }
+
+    const { filter, update } = transitionUpdate(
+      parent,
+      { 'payment.status': 'failed', status: 'cancelled' },
+      { by, reason }
+    );
+
+    const voided = await Order.findOneAndUpdate(filter, update, { new: true, session });
+    if (!voided) return null;
+
+    if (voided.coupon && voided.coupon.couponId) {
+      await releaseCoupon(voided.coupon.couponId, voided.buyer.userId, session);
+    }
+
+    const subOrders = await Order.find({ parentOrderId: parent._id }).session(session);
+
+    for (const subOrder of subOrders) {
+      const { filter, update } = transitionUpdate(
+        subOrder,
+        { 'payment.status': 'failed', status: 'cancelled' },
+        { by, reason }
+      );
+      await Order.updateOne(filter, update, { session });
+
+      for (const item of subOrder.items) {
+        await restoreStock(item, session);
+      }
+    }
+
+    return voided;
+  });
+}
+
+// Void checkouts left unpaid past CHECKOUT_EXPIRY
+async function expireStaleCheckouts() {
+  const staleCheckouts = await Order.find({
+    parentOrderId: null,
+    'subOrders.0': { $exists: true },
+    'payment.status': 'pending',
+    createdAt: { $lte: new Date(Date.now() - CHECKOUT_EXPIRY) }
+  }).select('_id');
+
+  let expired = 0;
+
+  for (const { _id } of staleCheckouts) {
+    try {
+      // A payment may have landed first; then there's nothing to void
+      const order = await voidCheckout(_id, {
+        by: { role: 'system' },
+        reason: 'Checkout expired unpaid'
+      });
+      if (order) {
+        expired++;
+      }
+    } catch (error) {
+      console.error(`❌ Error expiring checkout ${_id}:`, error.message);
+    }
+  }
+
+  if (expired > 0) {
+    console.log(`✅ Expired ${expired} unpaid checkout(s)`);
+  }
+
+  return expired;
+}
+
+// Start the periodic checkout expiry job
+function startCheckoutExpiryJob() {
+  const run = () => expireStaleCheckouts().catch(error => {
+    console.error('❌ Checkout expiry job failed:', error.message);
+  });
+
+  setInterval(run, CHECKOUT_EXPIRY_INTERVAL);
+  run();
+}
+
+// Record a payment the gateway took that couldn't be applied to its order
+// (wrong amount, or the checkout was already voided), so an admin can
+// refund it or sort it out by hand
+async function flagPayment(order, event, reason) {
+  console.error(`❌ Payment for order ${order.orderNumber} needs review: ${reason}`);
+
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        'payment.review': {
+          reason,
+          transactionId: event.transactionId,
+          amount: event.amount,
+          currency: event.currency,
+          flaggedAt: Date.now()
+        },
+        updatedAt: Date.now()
+      }
+    }
+  );
+}
+
+// Verify and apply a webhook from a payment provider. Returns false if the
+// signature is invalid.
+async function handleWebhook(providerName, rawBody, headers) {
+  const provider = getProvider(providerName);
+  const event = provider && rawBody ? provider.parseWebhook(rawBody, headers) : null;
+
+  if (!event) {
+    return false;
+  }
+
+  const order = await Order.findOne({
+    'payment.provider': provider.name,
+    'payment.sessionId': event.sessionId
+  });
+
+  if (!order) {
+    console.error(`❌ Payment webhook for unknown session ${event.sessionId}`);
+    return true;
+  }
+
+  if (event.type === 'payment.succeeded') {
+    // Never confirm a payment that doesn't cover the order; leave it for review
+    if (event.amount !== order.payment.amount || event.currency !== order.payment.currency) {
+      await flagPayment(order, event, 'amount_mismatch');
+      return true;
+    }
+
+    const confirmed = await confirmPayment(order._id, { transactionId: event.transactionId });
+
+    if (!confirmed) {
+      // A repeat of the webhook that confirmed it is fine; money taken for
+      // a checkout that expired or was cancelled has to go back
+      const current = await Order.findById(order._id);
+
+      if (current.payment.status === 'failed') {
+        await flagPayment(current, event, 'paid_after_void');
+      } else if (current.payment.transactionId && current.payment.transactionId !== event.transactionId) {
+        await flagPayment(current, event, 'duplicate_payment');
+      }
+
+      return true;
+    }
+
+    // Receipt and invoice emails are best effort; they can be downloaded
+    // again later
+    sendReceiptEmail(confirmed._id).catch(error => {
+      console.error(`❌ Receipt email for order ${confirmed.orderNumber} failed:`, error.message);
+    });
+    sendInvoiceEmails(confirmed._id).catch(error => {
+      console.error(`❌ Invoice emails for order ${confirmed.orderNumber} failed:`, error.message);
+    });
+  } else if (event.type === 'payment.failed') {
+    await voidCheckout(order._id, { by: { role: 'system' }, reason: 'Payment failed' });
+  }
+
+  return true;
+}
+
+module.exports = {
+  CHECKOUT_EXPIRY,
+  PaymentError,
+  getProvider,
+  providerForMethod,
+  startCheckoutSession,
+  confirmPayment,
+  voidCheckout,
+  expireStaleCheckouts,
+  startCheckoutExpiryJob,
+  handleWebhook
+};
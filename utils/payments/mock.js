@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Built-in mock gateway for development and tests. Checkout sessions are
+// "paid" through POST /api/payments/mock/:sessionId/complete, which sends a
+// signed webhook through the same path a real provider would use. Webhooks
+// are signed with MOCK_PAYMENT_SECRET, which must be set.
+
+const secret = () => {
+  if (!process.env.MOCK_PAYMENT_SECRET) {
+    throw new Error('MOCK_PAYMENT_SECRET is not set');
+  }
+
+  return process.env.MOCK_PAYMENT_SECRET;
+};
+
+const sign = (rawBody) =>
+  crypto.createHmac('sha256', secret()).update(rawBody).digest('hex');
+
+async function createCheckoutSession({ order }) {
+  const sessionId = 'mock_cs_' + crypto.randomBytes(12).toString('hex');
+
+  return {
+    sessionId,
+    checkoutUrl: `/api/payments/mock/${sessionId}/complete`,
+    amount: order.payment.amount,
+    currency: order.payment.currency
+  };
+}
+
+// Build the webhook the gateway would send for a finished session
+function buildWebhook({ sessionId, outcome, amount, currency }) {
+  const rawBody = JSON.stringify({
+    id: 'mock_evt_' + crypto.randomBytes(12).toString('hex'),
+    type: outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed',
+    data: {
+      sessionId,
+      transactionId: 'mock_txn_' + crypto.randomBytes(12).toString('hex'),
+      amount,
+      currency
+    }
+  });
+
+  return {
+    rawBody: Buffer.from(rawBody),
+    headers: { 'x-mock-signature': sign(rawBody) }
+  };
+}
+
+// Verify a webhook signature and turn it into a payment event
+function parseWebhook(rawBody, headers) {
+  const signature = headers['x-mock-signature'] || '';
+  const expected = sign(rawBody);
+
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  const { type, data } = JSON.parse(rawBody.toString());
+
+  return {
+    type,
+    sessionId: data.sessionId,
+    transactionId: data.transactionId,
+    amount: data.amount,
+    currency: data.currency
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  createCheckoutSession,
+  buildWebhook,
+  parseWebhook
+};
@@ -0,0 +1,212 @@
+const Payout = require('../models/Payout');
+const Seller = require('../models/Seller');
+const Transaction = require('../models/Transaction');
+const { withTransaction } = require('./dbSession');
+const ledger = require('./ledger');
+const { getSupportedCurrencies, getSupportedCurrency } = require('./currency');
+const { minorUnits, roundAmount } = require('./iso4217');
+
+// Smallest payout a seller can request, per wallet currency, unless an admin
+// set Currency.minimumPayout. Other currencies default to one minor unit.
+const MINIMUM_PAYOUT = {
+  USD: 10,
+  GBP: 10,
+  EUR: 10,
+  NGN: 5000
+};
+
+// Legal payout status changes
+const PAYOUT_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['processing', 'paid', 'failed'],
+  processing: ['paid', 'failed'],
+  paid: [],
+  rejected: [],
+  failed: []
+};
+
+// Payout errors carry the HTTP status the route should respond with
+class PayoutError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PayoutError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Smallest payout for a supported currency
+function minimumPayoutFor(currency) {
+  if (currency.minimumPayout != null) return currency.minimumPayout;
+  if (Object.prototype.hasOwnProperty.call(MINIMUM_PAYOUT, currency.code)) {
+    return MINIMUM_PAYOUT[currency.code];
+  }
+  return 1 / 10 ** minorUnits(currency.code);
+}
+
+// Minimum payouts for every supported currency, keyed by code
+async function minimumPayouts() {
+  const currencies = await getSupportedCurrencies();
+  return Object.fromEntries(currencies.map(currency => [currency.code, minimumPayoutFor(currency)]));
+}
+
+// Request a payout. The amount is taken out of the wallet balance straight
+// away (so it can't be spent twice) and held by the payout until it is paid,
+// or returned if the payout is rejected or fails.
+async function requestPayout({ sellerId, currency, amount, accountId }) {
+  const supported = await getSupportedCurrency(currency);
+
+  if (!supported) {
+    throw new PayoutError(`Unsupported payout currency: ${currency}`);
+  }
+
+  amount = roundAmount(parseFloat(amount), currency);
+  const minimum = minimumPayoutFor(supported);
+
+  if (!(amount >= minimum)) {
+    throw new PayoutError(`Minimum payout is ${minimum} ${currency}`);
+  }
+
+  const seller = await Seller.findById(sellerId);
+
+  if (!seller) {
+    throw new PayoutError('Seller not found', 404);
+  }
+
+  const account = seller.bankAccounts.id(accountId);
+
+  if (!account) {
+    throw new PayoutError('Bank account not found', 404);
+  }
+
+  if (account.currency !== currency) {
+    throw new PayoutError(`This bank account receives ${account.currency}, not ${currency}`);
+  }
+
+  return withTransaction(async (session) => {
+    // Reserve the funds only if the balance covers them
+    const reserved = await Seller.updateOne(
+      { _id: sellerId, [`wallets.${currency}.balance`]: { $gte: amount } },
+      { $inc: { [`wallets.${currency}.balance`]: -amount } },
+      { session }
+    );
+
+    if (reserved.modifiedCount === 0) {
+      throw new PayoutError('Insufficient balance');
+    }
+
+    const [payout] = await Payout.create([{
+      sellerId,
+      amount,
+      currency,
+      bankAccount: {
+        accountId: account._id,
+        bankName: account.bankName,
+        accountName: account.accountName,
+        accountNumber: account.accountNumber,
+        swiftCode: account.swiftCode
+      },
+      history: [{ status: 'requested' }]
+    }], { session });
+
+    const [transaction] = await Transaction.create([{
+      sellerId,
+      payoutId: payout._id,
+      type: 'withdrawal',
+      amount,
+      currency,
+      status: 'pending',
+      description: `Payout to ${account.bankName} ${account.accountNumber}`
+    }], { session });
+
+    payout.transactionId = transaction._id;
+    await payout.save({ session });
+
+    await ledger.postPayoutReserved({
+      sellerId,
+      amount,
+      currency,
+      payoutId: payout._id,
+      description: `Payout requested to ${account.bankName}`,
+      session
+    });
+
+    return payout;
+  });
+}
+
+// Move a payout to a new status (admin review and processing).
+// Rejected and failed payouts return the reserved funds to the wallet.
+async function updatePayoutStatus(payoutId, status, { adminId, note, reference }) {
+  const current = await Payout.findById(payoutId);
+
+  if (!current) {
+    throw new PayoutError('Payout not found', 404);
+  }
+
+  if (!PAYOUT_TRANSITIONS[current.status].includes(status)) {
+    throw new PayoutError(`Cannot change payout from ${current.status} to ${status}`, 409);
+  }
+
+  return withTransaction(async (session) => {
+    const update = {
+      $set: { status, updatedAt: Date.now() },
+      $push: { history: { status, note, changedBy: adminId, changedAt: Date.now() } }
+    };
+
+    if (status === 'rejected') update.$set.rejectionReason = note;
+    if (status === 'paid') update.$set.paidAt = Date.now();
+    if (reference) update.$set.reference = reference;
+
+    // Only apply if nobody else moved the payout in the meantime
+    const payout = await Payout.findOneAndUpdate(
+      { _id: payoutId, status: current.status },
+      update,
+      { new: true, session }
+    );
+
+    if (!payout) {
+      throw new PayoutError('Payout was updated by someone else, please reload', 409);
+    }
+
+    if (status === 'rejected' || status === 'failed') {
+      await Seller.updateOne(
+        { _id: payout.sellerId },
+        { $inc: { [`wallets.${payout.currency}.balance`]: payout.amount } },
+        { session }
+      );
+    }
+
+    const entry = {
+      sellerId: payout.sellerId,
+      amount: payout.amount,
+      currency: payout.currency,
+      payoutId: payout._id,
+      description: `Payout ${status}`,
+      session
+    };
+
+    if (status === 'paid') {
+      await ledger.postPayoutPaid(entry);
+    } else if (status === 'rejected' || status === 'failed') {
+      await ledger.postPayoutReturned(entry);
+    }
+
+    if (status === 'paid' || status === 'rejected' || status === 'failed') {
+      await Transaction.updateOne(
+        { _id: payout.transactionId },
+        { $set: { status: status === 'paid' ? 'completed' : 'failed' } },
+        { session }
+      );
+    }
+
+    return payout;
+  });
+}
+
+module.exports = {
+  MINIMUM_PAYOUT,
+  minimumPayouts,
+  PayoutError,
+  requestPayout,
+  updatePayoutStatus
+};
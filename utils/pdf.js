@@ -0,0 +1,66 @@
+const { minorUnits, roundAmount } = require('./iso4217');
+
+// Small helpers shared by the PDF documents (statements, receipts, invoices)
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Format amounts to the currency's minor unit, e.g. fixed(5) -> "5.00"
+function moneyFormatter(currency) {
+  const decimals = minorUnits(currency);
+  const fixed = (amount) => roundAmount(amount || 0, currency).toFixed(decimals);
+
+  return {
+    fixed,
+    money: (amount) => `${fixed(amount)} ${currency}`
+  };
+}
+
+// Returns a function that writes one table row. columns are
+// [{ label, width, align }]; rows wrap onto a new page near the bottom.
+function tableWriter(doc, columns) {
+  return (cells, options = {}) => {
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    let height = 0;
+
+    cells.forEach((cell, index) => {
+      const { width, align } = columns[index];
+      doc.text(String(cell), x, y, { width, align: align || 'left', ...options });
+      height = Math.max(height, doc.y - y);
+      x += width + 5;
+    });
+
+    doc.x = doc.page.margins.left;
+    doc.y = y + height + 4;
+
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+      doc.addPage();
+    }
+  };
+}
+
+// Write the table header row in bold
+function tableHeader(doc, columns) {
+  doc.font('Helvetica-Bold');
+  tableWriter(doc, columns)(columns.map(column => column.label));
+  doc.font('Helvetica');
+}
+
+// Render a finished PDFDocument into a Buffer (for downloads and email
+// attachments). Call before adding content; resolves once doc.end() runs.
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+}
+
+module.exports = {
+  formatDate,
+  moneyFormatter,
+  tableWriter,
+  tableHeader,
+  toBuffer
+};
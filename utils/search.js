@@ -0,0 +1,540 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const { MIN_PREFIX, MIN_TYPO_LENGTH, words, deletions, productSearchTokens } = require('./searchTokens');
+const { BASE_CURRENCY, conversionFactors } = require('./currency');
+const {
+  PaginationError,
+  decodeCursor,
+  seekFilter,
+  sortSpec,
+  pageResult,
+  pagingFields
+} = require('./pagination');
+
+// Product search and facets.
+//
+// A search is split into words; each word is matched against the products'
+// search tokens (see utils/searchTokens.js) as a whole word, a prefix or a
+// word with one typo, and scored by where and how it matched. Products are
+// ranked by how many of the words they match, then by score.
+//
+// Listings sort on stored fields (prices on Product.basePrice), each with an
+// index, so a page is a range scan after the cursor. Facet counts and the
+// total are a separate query, cached for FACET_CACHE_TTL, since they cover
+// every matching product and don't change from page to page.
+
+const MAX_TERMS = 8;
+
+// How long facet counts and totals are reused across pages
+const FACET_CACHE_TTL = 60 * 1000; // 1 minute
+const FACET_CACHE_SIZE = 500;
+
+// Score of a word matched through each kind of token
+const WEIGHTS = {
+  name: 10,
+  tag: 6,
+  description: 2,
+  namePrefix: 5,
+  tagPrefix: 3,
+  nameTypo: 3,
+  tagTypo: 2,
+  nameTypoBoth: 2, // One letter different, e.g. "phine" for "phone"
+  tagTypoBoth: 1
+};
+
+// Lower bounds of the price facet buckets, in USD. Other currencies get
+// round numbers near these (see priceBuckets).
+const PRICE_BUCKETS = [0, 10, 25, 50, 100, 250, 500, 1000, 5000];
+
+// Listing orders, as sort keys (see utils/pagination.js). relevance is the
+// default with a search, newest without. Price orders sort in the base
+// currency, which ranks prices the same as any display currency, and
+// leave out products with no rate for their currency.
+const SORTS = {
+  relevance: [['matchedTerms', -1], ['relevance', -1], ['sales', -1], ['createdAt', -1]],
+  newest: [['createdAt', -1]],
+  price_asc: [['basePrice', 1]],
+  price_desc: [['basePrice', -1]],
+  best_selling: [['sales', -1], ['createdAt', -1]],
+  most_viewed: [['views', -1], ['createdAt', -1]],
+  top_rated: [['rating.average', -1], ['rating.count', -1], ['createdAt', -1]]
+};
+
+const SORT_OPTIONS = Object.keys(SORTS);
+
+const PRICE_SORTS = ['price_asc', 'price_desc'];
+
+const RATING_STEPS = [4, 3, 2, 1];
+
+const MAX_SELLER_FACETS = 20;
+
+// Search words, ignoring single letters
+function searchTerms(query) {
+  return [...new Set(words(query))]
+    .filter(word => word.length > 1 || /\d/.test(word))
+    .slice(0, MAX_TERMS);
+}
+
+// Tokens that match one search word, with their scores. prefixOnly is for
+// the word still being typed (autocomplete).
+function termTokens(term, { prefixOnly = false } = {}) {
+  const tokens = new Map();
+  const add = (token, weight) => {
+    tokens.set(token, Math.max(tokens.get(token) || 0, weight));
+  };
+
+  add(`n:${term}`, WEIGHTS.name);
+  add(`t:${term}`, WEIGHTS.tag);
+
+  if (term.length >= MIN_PREFIX) {
+    add(`np:${term}`, WEIGHTS.namePrefix);
+    add(`tp:${term}`, WEIGHTS.tagPrefix);
+  }
+
+  if (prefixOnly) return tokens;
+
+  add(`x:${term}`, WEIGHTS.description);
+
+  if (term.length >= MIN_TYPO_LENGTH) {
+    // A letter missing from the search
+    add(`nd:${term}`, WEIGHTS.nameTypo);
+    add(`td:${term}`, WEIGHTS.tagTypo);
+
+    for (const deletion of deletions(term)) {
+      // An extra letter in the search
+      add(`n:${deletion}`, WEIGHTS.nameTypo);
+      add(`t:${deletion}`, WEIGHTS.tagTypo);
+      // A wrong letter in the search
+      add(`nd:${deletion}`, WEIGHTS.nameTypoBoth);
+      add(`td:${deletion}`, WEIGHTS.tagTypoBoth);
+    }
+  }
+
+  return tokens;
+}
+
+// Tokens and score expressions for a search, or null if it has no words.
+// The last word is matched as a prefix only when asYouType is set. A
+// search made only of single letters has nothing to match on, so it
+// matches no products (rather than every product).
+function buildSearch(query, { asYouType = false } = {}) {
+  const terms = searchTerms(query);
+  if (words(query).length === 0) return null;
+
+  if (terms.length === 0) {
+    return { terms, match: { searchTokens: { $in: [] } }, scoreStages: [] };
+  }
+
+  const termMatches = terms.map((term, index) =>
+    termTokens(term, { prefixOnly: asYouType && index === terms.length - 1 })
+  );
+
+  const tokens = new Set();
+  termMatches.forEach(matches => matches.forEach((weight, token) => tokens.add(token)));
+
+  // Each word scores its best match
+  const termScores = termMatches.map(matches => ({
+    $max: [...matches].map(([token, weight]) => ({
+      $cond: [{ $in: [token, '$searchTokens'] }, weight, 0]
+    }))
+  }));
+
+  return {
+    terms,
+    match: { searchTokens: { $in: [...tokens] } },
+    scoreStages: [
+      { $addFields: { termScores } },
+      {
+        $addFields: {
+          relevance: { $sum: '$termScores' },
+          matchedTerms: {
+            $size: { $filter: { input: '$termScores', cond: { $gt: ['$$this', 0] } } }
+          }
+        }
+      }
+    ]
+  };
+}
+
+// Filters from a product listing's query string (prices are filtered in
+// the display currency, see priceFilter). Listings only show active
+// products unless includeInactive is set (admin), which allows filtering
+// on active=true|false instead.
+function productFilter({ category, condition, sellerId, minRating, active }, { includeInactive = false } = {}) {
+  const filter = {};
+
+  if (!includeInactive) {
+    filter.isActive = true;
+  } else if (active !== undefined) {
+    filter.isActive = active === 'true';
+  }
+
+  if (category) filter.category = category;
+  if (condition) filter.condition = condition;
+  if (sellerId && mongoose.isValidObjectId(sellerId)) {
+    filter.sellerId = new mongoose.Types.ObjectId(sellerId);
+  }
+
+  if (minRating) filter['rating.average'] = { $gte: parseFloat(minRating) };
+
+  return filter;
+}
+
+// Price filter, given in the display currency. Bounds are converted to the
+// base currency to filter on basePrice; with no rate for the display
+// currency only products priced in it can be compared. Products with no
+// rate for their currency drop out of price filters.
+function priceFilter(factors, currency, { minPrice, maxPrice }) {
+  if (!minPrice && !maxPrice) return {};
+
+  const fromBase = factors[BASE_CURRENCY];
+  const range = {};
+  if (minPrice) range.$gte = parseFloat(minPrice) / (fromBase || 1);
+  if (maxPrice) range.$lte = parseFloat(maxPrice) / (fromBase || 1);
+
+  return fromBase
+    ? { basePrice: range }
+    : { 'price.currency': currency, 'price.amount': range };
+}
+
+// Each product's price in the display currency, null with no rate
+function displayPriceExpression(factors, currency) {
+  const fromBase = factors[BASE_CURRENCY];
+
+  return fromBase
+    ? { $cond: [{ $eq: ['$basePrice', null] }, null, { $multiply: ['$basePrice', fromBase] }] }
+    : { $cond: [{ $eq: ['$price.currency', currency] }, '$price.amount', null] };
+}
+
+// Round to a number a shopper would pick, e.g. 15300 -> 20000
+function roundNicely(amount) {
+  if (amount <= 0) return 0;
+
+  const magnitude = 10 ** Math.floor(Math.log10(amount));
+  const nice = [1, 2, 2.5, 5, 10].reduce((best, step) =>
+    Math.abs(Math.log(step * magnitude / amount)) < Math.abs(Math.log(best * magnitude / amount)) ? step : best
+  );
+
+  return nice * magnitude;
+}
+
+// Price facet bucket lower bounds in the display currency
+function priceBuckets(factors) {
+  const fromUSD = factors.USD;
+  if (!fromUSD) return PRICE_BUCKETS;
+
+  return [...new Set(PRICE_BUCKETS.map(bound => roundNicely(bound * fromUSD)))];
+}
+
+// Without a search there is no relevance, so it falls back to newest
+function sortName(sort, built) {
+  if (!sort || sort === 'relevance') {
+    return built ? 'relevance' : 'newest';
+  }
+  return sort;
+}
+
+// Facet counts over every matching product (displayPrice added first)
+function facetStages(buckets) {
+  return {
+    category: [{ $sortByCount: '$category' }],
+    condition: [{ $sortByCount: '$condition' }],
+    price: [
+      { $match: { displayPrice: { $ne: null } } },
+      {
+        $group: {
+          _id: {
+            $reduce: {
+              input: buckets,
+              initialValue: 0,
+              in: { $cond: [{ $gte: ['$displayPrice', '$$this'] }, '$$this', '$$value'] }
+            }
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ],
+    seller: [
+      { $sortByCount: '$sellerId' },
+      { $limit: MAX_SELLER_FACETS },
+      {
+        $lookup: {
+          from: Seller.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'seller'
+        }
+      },
+      { $project: { count: 1, 'seller.storeName': 1, 'seller.shopURL': 1 } }
+    ],
+    rating: [
+      {
+        $group: Object.fromEntries([
+          ['_id', null],
+          ...RATING_STEPS.map(step => [
+            `atLeast${step}`,
+            { $sum: { $cond: [{ $gte: ['$rating.average', step] }, 1, 0] } }
+          ])
+        ])
+      }
+    ]
+  };
+}
+
+function shapeFacets(facets, { currency, buckets }) {
+  const nextBucket = (min) => buckets[buckets.indexOf(min) + 1] ?? null;
+  const ratings = facets.rating[0] || {};
+
+  return {
+    category: facets.category.map(({ _id, count }) => ({ value: _id, count })),
+    condition: facets.condition.map(({ _id, count }) => ({ value: _id, count })),
+    price: facets.price.map(({ _id, count }) => ({
+      currency,
+      min: _id,
+      max: nextBucket(_id),
+      count
+    })),
+    seller: facets.seller.map(({ _id, count, seller }) => ({
+      sellerId: _id,
+      storeName: seller[0] ? seller[0].storeName : undefined,
+      shopURL: seller[0] ? seller[0].shopURL : undefined,
+      count
+    })),
+    rating: RATING_STEPS.map(step => ({ minRating: step, count: ratings[`atLeast${step}`] || 0 }))
+  };
+}
+
+// Facet counts and total for a listing's matching products, cached briefly
+// so paging through a listing doesn't recount it for every page
+const facetCache = new Map();
+
+async function listingFacets(match, { factors, currency, buckets }) {
+  const key = JSON.stringify({ match, currency, buckets });
+  const cached = facetCache.get(key);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.facets;
+  }
+
+  const [result] = await Product.aggregate([
+    { $match: match },
+    { $addFields: { displayPrice: displayPriceExpression(factors, currency) } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        ...facetStages(buckets)
+      }
+    }
+  ]);
+
+  const facets = {
+    total: result.total[0]?.count || 0,
+    facets: shapeFacets(result, { currency, buckets })
+  };
+
+  // Drop the oldest entry once full (Maps keep insertion order)
+  facetCache.delete(key);
+  if (facetCache.size >= FACET_CACHE_SIZE) {
+    facetCache.delete(facetCache.keys().next().value);
+  }
+  facetCache.set(key, { facets, expiresAt: Date.now() + FACET_CACHE_TTL });
+
+  return facets;
+}
+
+// Search products. Results are ranked by relevance when there is a search,
+// newest first otherwise (see SORTS), and come with facet counts for the
+// whole result set. Prices are filtered and bucketed in the display
+// currency. Pages are fetched after a cursor, or by page number without one.
+async function searchProducts({
+  search,
+  filters = {},
+  currency = 'USD',
+  sort,
+  cursor,
+  page = 1,
+  limit = 20,
+  includeInactive = false,
+  sellerFields = 'storeName storeLogo shopURL'
+}) {
+  if (sort && !SORTS[sort]) {
+    throw new PaginationError(`Sort must be one of ${SORT_OPTIONS.join(', ')}`);
+  }
+
+  const built = buildSearch(search);
+  const factors = conversionFactors(currency);
+  const buckets = priceBuckets(factors);
+  const match = {
+    ...productFilter(filters, { includeInactive }),
+    ...priceFilter(factors, currency, filters),
+    ...(built ? built.match : {})
+  };
+
+  const order = sortName(sort, built);
+  const keys = SORTS[order];
+  const seek = cursor ? seekFilter(keys, decodeCursor(cursor, order, keys)) : null;
+  const listed = PRICE_SORTS.includes(order)
+    ? { $and: [match, { basePrice: { $ne: null } }] }
+    : match;
+
+  // Relevance is computed, so only a relevance cursor has to wait for the
+  // scores; every other cursor narrows the first match
+  const pipeline = built && order === 'relevance'
+    ? [{ $match: listed }, ...built.scoreStages, ...(seek ? [{ $match: seek }] : [])]
+    : [{ $match: seek ? { $and: [listed, seek] } : listed }];
+
+  const [results, { total, facets }] = await Promise.all([
+    Product.aggregate([
+      ...pipeline,
+      { $sort: sortSpec(keys) },
+      { $skip: cursor ? 0 : (page - 1) * limit },
+      { $limit: limit + 1 },
+      ...(built && order !== 'relevance' ? built.scoreStages : []),
+      { $project: { searchTokens: 0, termScores: 0 } }
+    ]),
+    listingFacets(listed, { factors, currency, buckets })
+  ]);
+
+  const { items, hasMore, nextCursor } = pageResult(results, { sort: order, keys, limit });
+
+  const products = await Product.populate(items, {
+    path: 'sellerId',
+    select: sellerFields
+  });
+
+  return {
+    products,
+    sort: order,
+    paging: pagingFields({ total, page, limit, cursor, hasMore, nextCursor }),
+    facets
+  };
+}
+
+// Suggestions while the user types: matching product names and tags. The
+// last word is matched as a prefix.
+async function autocomplete(query, { limit = 8 } = {}) {
+  const built = buildSearch(query, { asYouType: true });
+  if (!built || built.terms.length === 0) return { products: [], tags: [] };
+
+  const candidates = await Product.aggregate([
+    { $match: { isActive: true, ...built.match } },
+    ...built.scoreStages,
+    { $sort: { matchedTerms: -1, relevance: -1, sales: -1, _id: 1 } },
+    { $limit: limit * 5 },
+    { $project: { name: 1, tags: 1, price: 1, image: { $arrayElemAt: ['$images.url', 0] } } }
+  ]);
+
+  const seen = new Set();
+  const products = [];
+  for (const product of candidates) {
+    const key = product.name.toLowerCase();
+    if (seen.has(key) || products.length >= limit) continue;
+
+    seen.add(key);
+    products.push({ _id: product._id, name: product.name, image: product.image, price: product.price });
+  }
+
+  // Tags with a word starting with the word being typed
+  const typed = built.terms[built.terms.length - 1];
+  const tagCounts = new Map();
+  for (const product of candidates) {
+    for (const tag of product.tags || []) {
+      if (words(tag).some(word => word.startsWith(typed))) {
+        const key = tag.toLowerCase();
+        const entry = tagCounts.get(key) || { tag, count: 0 };
+        entry.count++;
+        tagCounts.set(key, entry);
+      }
+    }
+  }
+
+  const tags = [...tagCounts.values()]
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .slice(0, limit);
+
+  return { products, tags };
+}
+
+// Recompute every product's basePrice from the cached rates. Runs when the
+// rates change (see onRatesChanged in utils/currency.js); only products
+// whose base price moved are written.
+async function rebasePrices() {
+  const factors = Object.entries(conversionFactors(BASE_CURRENCY));
+  let updated = 0;
+
+  for (const [code, factor] of factors) {
+    const basePrice = { $multiply: ['$price.amount', factor] };
+    const result = await Product.updateMany(
+      { 'price.currency': code, $expr: { $ne: ['$basePrice', basePrice] } },
+      [{ $set: { basePrice } }]
+    );
+    updated += result.modifiedCount;
+  }
+
+  // Currencies the rates no longer cover
+  const result = await Product.updateMany(
+    { 'price.currency': { $nin: factors.map(([code]) => code) }, basePrice: { $ne: null } },
+    { $set: { basePrice: null } }
+  );
+  updated += result.modifiedCount;
+
+  if (updated > 0) {
+    console.log(`✅ Updated base prices for ${updated} products`);
+  }
+
+  return updated;
+}
+
+// Give products saved before these fields had defaults a value to sort on.
+// Base prices in other currencies are filled in once rates are loaded.
+async function backfillSortFields() {
+  try {
+    for (const field of ['sales', 'views', 'rating.average', 'rating.count']) {
+      await Product.updateMany({ [field]: { $exists: false } }, { $set: { [field]: 0 } });
+    }
+
+    await Product.updateMany(
+      { basePrice: { $exists: false }, 'price.currency': BASE_CURRENCY },
+      [{ $set: { basePrice: '$price.amount' } }]
+    );
+  } catch (error) {
+    console.error('❌ Error backfilling product sort fields:', error.message);
+  }
+}
+
+// Build search tokens for products saved before search existed
+async function backfillSearchTokens() {
+  try {
+    const cursor = Product.find({ searchTokens: { $exists: false } })
+      .select('name tags description')
+      .cursor();
+
+    let count = 0;
+    for await (const product of cursor) {
+      await Product.updateOne(
+        { _id: product._id },
+        { $set: { searchTokens: productSearchTokens(product) } }
+      );
+      count++;
+    }
+
+    if (count > 0) {
+      console.log(`✅ Built search tokens for ${count} products`);
+    }
+  } catch (error) {
+    console.error('❌ Error building search tokens:', error.message);
+  }
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  searchTerms,
+  productFilter,
+  searchProducts,
+  autocomplete,
+  rebasePrices,
+  backfillSortFields,
+  backfillSearchTokens
+};
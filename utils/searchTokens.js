@@ -0,0 +1,75 @@
+// Search tokens for products.
+//
+// Every product stores a list of tokens (Product.searchTokens, indexed) made
+// from its name, tags and description, so search never scans the collection
+// or builds a regex from user input. Tokens are prefixed by field and kind:
+//
+//   n:word   t:word   x:word   whole words of the name, tags, description
+//   np:pre   tp:pre           prefixes of name and tag words (as you type)
+//   nd:wrd   td:wrd           name and tag words with one letter deleted,
+//                             to match searches with one typo
+//
+// See utils/search.js for how searches are turned into tokens and scored.
+
+const MIN_PREFIX = 2;
+const MAX_PREFIX = 15;
+const MIN_TYPO_LENGTH = 4; // Shorter words must be spelled exactly
+
+// Lowercase, strip accents and split into words
+function words(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// e.g. "phone" -> ["ph", "pho", "phon", "phone"]
+function prefixes(word) {
+  const result = [];
+  for (let length = MIN_PREFIX; length <= Math.min(word.length, MAX_PREFIX); length++) {
+    result.push(word.slice(0, length));
+  }
+  return result;
+}
+
+// e.g. "phone" -> ["hone", "pone", "phne", "phoe", "phon"]
+function deletions(word) {
+  if (word.length < MIN_TYPO_LENGTH) return [];
+
+  const result = new Set();
+  for (let index = 0; index < word.length; index++) {
+    result.add(word.slice(0, index) + word.slice(index + 1));
+  }
+  return [...result];
+}
+
+function productSearchTokens({ name, tags, description }) {
+  const tokens = new Set();
+
+  const add = (field, text, { partial }) => {
+    for (const word of words(text)) {
+      tokens.add(`${field}:${word}`);
+
+      if (partial) {
+        prefixes(word).forEach(prefix => tokens.add(`${field}p:${prefix}`));
+        deletions(word).forEach(deletion => tokens.add(`${field}d:${deletion}`));
+      }
+    }
+  };
+
+  add('n', name, { partial: true });
+  (tags || []).forEach(tag => add('t', tag, { partial: true }));
+  add('x', description, { partial: false });
+
+  return [...tokens];
+}
+
+module.exports = {
+  MIN_PREFIX,
+  MIN_TYPO_LENGTH,
+  words,
+  deletions,
+  productSearchTokens
+};
@@ -0,0 +1,315 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Transaction = require('../models/Transaction');
+const { roundAmount } = require('./iso4217');
+const { decodeCursor, seekFilter, sortSpec, pageResult, pagingFields } = require('./pagination');
+const { formatDate, moneyFormatter, tableWriter, tableHeader } = require('./pdf');
+
+// How each transaction type moves a seller's wallet, as multipliers of its
+// amount for the available balance and the pending (escrowed) balance.
+// Failed transactions (rejected or failed payouts) never moved anything.
+const BALANCE_EFFECTS = {
+  sale: { balance: 1, pending: 0 },
+  escrow_hold: { balance: 0, pending: 1 },
+  escrow_release: { balance: 1, pending: -1 },
+  commission: { balance: -1, pending: 0 },
+  refund: { balance: 0, pending: -1 },
+  withdrawal: { balance: -1, pending: 0 }
+};
+
+// Aggregation expression for a transaction's effect on one wallet field
+const effectOf = (field) => ({
+  $cond: [
+    { $eq: ['$status', 'failed'] },
+    0,
+    {
+      $multiply: ['$amount', {
+        $switch: {
+          branches: Object.entries(BALANCE_EFFECTS).map(([type, effect]) => ({
+            case: { $eq: ['$type', type] },
+            then: effect[field]
+          })),
+          default: 0
+        }
+      }]
+    }
+  ]
+});
+
+// Stages adding balanceChange/pendingChange to every transaction and the
+// wallet balances after it (running totals per currency, oldest first).
+// Sums are kept to 4 decimal places (the most any ISO 4217 currency uses)
+// and rounded to each currency's minor unit afterwards.
+function runningBalanceStages() {
+  const runningSum = (field) => ({
+    $sum: field,
+    window: { documents: ['unbounded', 'current'] }
+  });
+
+  return [
+    { $addFields: { balanceChange: effectOf('balance'), pendingChange: effectOf('pending') } },
+    {
+      $setWindowFields: {
+        partitionBy: '$currency',
+        sortBy: { createdAt: 1, _id: 1 },
+        output: {
+          balanceAfter: runningSum('$balanceChange'),
+          pendingAfter: runningSum('$pendingChange')
+        }
+      }
+    },
+    {
+      $addFields: {
+        balanceAfter: { $round: ['$balanceAfter', 4] },
+        pendingAfter: { $round: ['$pendingAfter', 4] }
+      }
+    }
+  ];
+}
+
+// Transactions are listed newest first
+const TRANSACTION_KEYS = [['createdAt', -1]];
+
+// A seller's transactions, newest first, each with the wallet balances
+// after it. Filters: currency, types (list), orderId, from, to (dates).
+// Paged by cursor or page number (see utils/pagination.js).
+async function listTransactions(sellerId, { currency, types = [], orderId, from, to, cursor, page = 1, limit = 20 }) {
+  const filter = {};
+  if (types.length > 0) filter.type = { $in: types };
+  if (orderId) filter.orderId = new mongoose.Types.ObjectId(orderId);
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const match = { sellerId: new mongoose.Types.ObjectId(sellerId) };
+  if (currency) match.currency = currency;
+
+  const seek = cursor
+    ? seekFilter(TRANSACTION_KEYS, decodeCursor(cursor, 'newest', TRANSACTION_KEYS))
+    : null;
+
+  // Balances are worked out over the full history before filtering, so they
+  // stay correct whatever subset of transactions is shown
+  const [result] = await Transaction.aggregate([
+    { $match: match },
+    ...runningBalanceStages(),
+    { $match: filter },
+    {
+      $facet: {
+        transactions: [
+          ...(seek ? [{ $match: seek }] : []),
+          { $sort: sortSpec(TRANSACTION_KEYS) },
+          { $skip: cursor ? 0 : (page - 1) * limit },
+          { $limit: limit + 1 }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const { items, hasMore, nextCursor } = pageResult(result.transactions, { sort: 'newest', keys: TRANSACTION_KEYS, limit });
+
+  for (const transaction of items) {
+    transaction.balanceAfter = roundAmount(transaction.balanceAfter, transaction.currency);
+    transaction.pendingAfter = roundAmount(transaction.pendingAfter, transaction.currency);
+  }
+
+  const total = result.total[0]?.count || 0;
+
+  return {
+    transactions: items,
+    paging: pagingFields({ total, page, limit, cursor, hasMore, nextCursor })
+  };
+}
+
+// Wallet balances for one currency at a point in time
+async function balancesAt(sellerId, currency, date) {
+  const [totals] = await Transaction.aggregate([
+    {
+      $match: {
+        sellerId: new mongoose.Types.ObjectId(sellerId),
+        currency,
+        createdAt: { $lt: date }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: effectOf('balance') },
+        pending: { $sum: effectOf('pending') }
+      }
+    }
+  ]);
+
+  return {
+    balance: roundAmount(totals?.balance || 0, currency),
+    pending: roundAmount(totals?.pending || 0, currency)
+  };
+}
+
+// Statement of one wallet currency for a calendar month (UTC)
+async function monthlyStatement(sellerId, { currency, year, month }) {
+  const from = new Date(Date.UTC(year, month - 1, 1));
+  const to = new Date(Date.UTC(year, month, 1));
+
+  const opening = await balancesAt(sellerId, currency, from);
+
+  const round = (amount) => roundAmount(amount, currency);
+
+  const transactions = await Transaction.aggregate([
+    { $match: { sellerId: new mongoose.Types.ObjectId(sellerId), currency } },
+    ...runningBalanceStages(),
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    { $sort: { createdAt: 1, _id: 1 } }
+  ]);
+
+  for (const transaction of transactions) {
+    transaction.balanceAfter = round(transaction.balanceAfter);
+    transaction.pendingAfter = round(transaction.pendingAfter);
+  }
+
+  const totals = {};
+  for (const transaction of transactions) {
+    if (transaction.status === 'failed') continue;
+    totals[transaction.type] = round((totals[transaction.type] || 0) + transaction.amount);
+  }
+
+  const last = transactions[transactions.length - 1];
+
+  return {
+    currency,
+    period: { year, month, from, to },
+    opening,
+    closing: last
+      ? { balance: last.balanceAfter, pending: last.pendingAfter }
+      : opening,
+    totals,
+    transactions
+  };
+}
+
+const TYPE_LABELS = {
+  sale: 'Sale',
+  escrow_hold: 'Escrow hold',
+  escrow_release: 'Escrow release',
+  commission: 'Commission',
+  refund: 'Refund',
+  withdrawal: 'Payout'
+};
+
+// Text starting with one of these is run as a formula by spreadsheets
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a CSV cell. Text that a spreadsheet would read as a formula (e.g. a
+// description from user input) gets a leading ' so it stays text; numbers,
+// negative amounts included, are left as they are.
+const csvCell = (value) => {
+  let text = value == null ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Statement as CSV, one row per transaction plus opening/closing rows
+function statementToCSV(statement) {
+  const round = (amount) => roundAmount(amount, statement.currency);
+  const rows = [
+    ['Date', 'Type', 'Description', 'Order', 'Status', 'Amount', 'Available change',
+      'Pending change', 'Available balance', 'Pending balance']
+  ];
+
+  rows.push([formatDate(statement.period.from), 'Opening balance', '', '', '', '', '', '',
+    statement.opening.balance, statement.opening.pending]);
+
+  for (const transaction of statement.transactions) {
+    rows.push([
+      formatDate(transaction.createdAt),
+      TYPE_LABELS[transaction.type] || transaction.type,
+      transaction.description,
+      transaction.orderId,
+      transaction.status,
+      transaction.amount,
+      round(transaction.balanceChange),
+      round(transaction.pendingChange),
+      transaction.balanceAfter,
+      transaction.pendingAfter
+    ]);
+  }
+
+  rows.push([formatDate(statement.period.to - 1), 'Closing balance', '', '', '', '', '', '',
+    statement.closing.balance, statement.closing.pending]);
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Write the statement as a PDF to a writable stream (e.g. the response)
+function writeStatementPDF(statement, seller, stream) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const { currency, period } = statement;
+  const { fixed, money } = moneyFormatter(currency);
+
+  doc.pipe(stream);
+
+  doc.fontSize(18).text('Wallet statement');
+  doc.moveDown(0.5);
+  doc.fontSize(10)
+    .text(seller.storeName)
+    .text(seller.email)
+    .text(`Period: ${formatDate(period.from)} to ${formatDate(period.to - 1)}`)
+    .text(`Currency: ${currency}`);
+
+  doc.moveDown();
+  doc.text(`Opening available balance: ${money(statement.opening.balance)}`);
+  doc.text(`Opening pending balance: ${money(statement.opening.pending)}`);
+
+  // Transactions table
+  const columns = [
+    { label: 'Date', width: 65 },
+    { label: 'Type', width: 80 },
+    { label: 'Description', width: 180 },
+    { label: 'Amount', width: 65, align: 'right' },
+    { label: 'Available', width: 65, align: 'right' },
+    { label: 'Pending', width: 60, align: 'right' }
+  ];
+
+  const row = tableWriter(doc, columns);
+
+  doc.moveDown();
+  tableHeader(doc, columns);
+
+  for (const transaction of statement.transactions) {
+    row([
+      formatDate(transaction.createdAt),
+      (TYPE_LABELS[transaction.type] || transaction.type) +
+        (transaction.status === 'completed' ? '' : ` (${transaction.status})`),
+      transaction.description || '',
+      fixed(transaction.amount),
+      fixed(transaction.balanceAfter),
+      fixed(transaction.pendingAfter)
+    ]);
+  }
+
+  if (statement.transactions.length === 0) {
+    doc.text('No transactions in this period.');
+  }
+
+  doc.moveDown();
+  for (const [type, total] of Object.entries(statement.totals)) {
+    doc.text(`Total ${(TYPE_LABELS[type] || type).toLowerCase()}: ${money(total)}`);
+  }
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold');
+  doc.text(`Closing available balance: ${money(statement.closing.balance)}`);
+  doc.text(`Closing pending balance: ${money(statement.closing.pending)}`);
+
+  doc.end();
+}
+
+module.exports = {
+  BALANCE_EFFECTS,
+  listTransactions,
+  monthlyStatement,
+  statementToCSV,
+  writeStatementPDF
+};
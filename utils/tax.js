@@ -0,0 +1,52 @@
+const TaxRule = require('../models/TaxRule');
+const { roundAmount } = require('./iso4217');
+
+const normalize = (country) => String(country || '').trim().toUpperCase();
+
+// Active tax rule for a destination country. Addresses hold the country as
+// the buyer typed it, so match the ISO code, the country name or an alias.
+async function findTaxRule(country, session) {
+  const value = normalize(country);
+  if (!value) return null;
+
+  const rules = await TaxRule.find({ isActive: true }).session(session || null);
+
+  return rules.find(rule =>
+    rule.country === value ||
+    normalize(rule.countryName) === value ||
+    rule.aliases.some(alias => normalize(alias) === value)
+  ) || null;
+}
+
+// Rate for a product category: its reduced rate if it has one (0 when
+// exempt), otherwise the standard rate
+function rateFor(rule, category) {
+  const reduced = rule.categoryRates.find(entry => entry.category === category);
+  return reduced ? reduced.rate : rule.rate;
+}
+
+// Work out tax on priced order lines, after discounts. entries are
+// [{ line, product }]; sets line.tax on each and returns the total.
+function applyTax(rule, entries, currency) {
+  let total = 0;
+
+  for (const { line, product } of entries) {
+    const rate = rateFor(rule, product.category);
+    const discount = line.discount ? line.discount.amount : 0;
+    const taxable = line.subtotal - discount + (rule.taxShipping ? line.shippingFee : 0);
+
+    line.tax = {
+      rate,
+      amount: roundAmount(Math.max(taxable, 0) * rate / 100, currency)
+    };
+    total = roundAmount(total + line.tax.amount, currency);
+  }
+
+  return total;
+}
+
+module.exports = {
+  findTaxRule,
+  rateFor,
+  applyTax
+};
@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+// Product variants.
+//
+// A product with options (e.g. Size, Colour) is sold as variants, one per
+// combination on offer. Each variant has its own SKU and stock, and may
+// override the product's price and pick its own images from the product's.
+// The product's stock is kept as the total of its variants' stock, so
+// listings keep working unchanged.
+
+const MAX_OPTIONS = 3;
+
+// Variant errors carry the HTTP status the route should respond with
+class VariantError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'VariantError';
+    this.statusCode = statusCode;
+  }
+}
+
+const entriesOf = (options) =>
+  options instanceof Map ? [...options.entries()] : Object.entries(options || {});
+
+// e.g. "Size: M, Colour: Red"
+const variantLabel = (options) =>
+  entriesOf(options).map(([name, value]) => `${name}: ${value}`).join(', ');
+
+function findVariant(product, variantId) {
+  if (!variantId || !mongoose.isValidObjectId(variantId)) return null;
+  return product.variants.id(variantId);
+}
+
+// Unit price of a variant, in the product's price currency
+function variantPrice(product, variant) {
+  return variant && variant.price && variant.price.amount != null
+    ? variant.price.amount
+    : product.price.amount;
+}
+
+// Forms send lists as JSON text
+function parseList(value, field) {
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new VariantError(`${field} must be valid JSON`);
+  }
+}
+
+// Check the option axes a seller submitted
+function buildOptions(input) {
+  const options = parseList(input, 'options') || [];
+
+  if (!Array.isArray(options) || options.length > MAX_OPTIONS) {
+    throw new VariantError(`Products can have up to ${MAX_OPTIONS} options`);
+  }
+
+  const names = new Set();
+
+  return options.map(option => {
+    const name = String(option && option.name || '').trim();
+    const values = Array.isArray(option && option.values)
+      ? option.values.map(value => String(value).trim()).filter(Boolean)
+      : [];
+
+    if (!name || names.has(name.toLowerCase())) {
+      throw new VariantError('Each option needs a different name');
+    }
+
+    // Option names are used as keys on each variant
+    if (name.includes('.') || name.startsWith('$')) {
+      throw new VariantError(`Option names can't contain "." or start with "$"`);
+    }
+
+    if (values.length === 0 || new Set(values).size !== values.length) {
+      throw new VariantError(`Option ${name} needs a list of different values`);
+    }
+
+    names.add(name.toLowerCase());
+    return { name, values };
+  });
+}
+
+// Check the options and variants a seller submitted and set them on the
+// product (not saved). Variants that keep their _id keep their identity, so
+// orders placed for them still point at them. Variant images are given as
+// public IDs of the product's images. Empty lists remove the variants.
+async function setVariants(product, { options: optionsInput, variants: variantsInput }) {
+  const options = buildOptions(optionsInput);
+  const input = parseList(variantsInput, 'variants') || [];
+
+  if (!Array.isArray(input)) {
+    throw new VariantError('variants must be a list');
+  }
+
+  if ((options.length === 0) !== (input.length === 0)) {
+    throw new VariantError('Products with options need at least one variant, and variants need options');
+  }
+
+  const combinations = new Set();
+  const skus = new Set();
+
+  const variants = input.map(variant => {
+    if (!variant || typeof variant !== 'object') {
+      throw new VariantError('Each variant must be an object');
+    }
+
+    const sku = String(variant.sku || '').trim();
+    const chosen = variant.options || {};
+    const stock = Number(variant.stock || 0);
+    const price = variant.price && typeof variant.price === 'object' ? variant.price.amount : variant.price;
+
+    if (!sku || skus.has(sku)) {
+      throw new VariantError('Each variant needs a different SKU');
+    }
+    skus.add(sku);
+
+    if (variant._id && !findVariant(product, variant._id)) {
+      throw new VariantError(`Variant not found: ${variant._id}`);
+    }
+
+    const values = options.map(option => {
+      const value = chosen[option.name];
+
+      if (!option.values.includes(value)) {
+        throw new VariantError(`Variant ${sku} needs a ${option.name} from ${option.values.join(', ')}`);
+      }
+
+      return [option.name, value];
+    });
+
+    if (Object.keys(chosen).length !== options.length) {
+      throw new VariantError(`Variant ${sku} has an option the product doesn't`);
+    }
+
+    const combination = JSON.stringify(values);
+    if (combinations.has(combination)) {
+      throw new VariantError(`More than one variant is ${variantLabel(new Map(values))}`);
+    }
+    combinations.add(combination);
+
+    if (!(Number.isInteger(stock) && stock >= 0)) {
+      throw new VariantError(`Stock for variant ${sku} must be a whole number of 0 or more`);
+    }
+
+    if (price != null && price !== '' && !(Number(price) >= 0)) {
+      throw new VariantError(`Price for variant ${sku} must be a number of 0 or more`);
+    }
+
+    const images = (variant.images || []).map(publicId => {
+      const image = product.images.find(productImage => productImage.publicId === publicId);
+
+      if (!image) {
+        throw new VariantError(`Image not found on this product: ${publicId}`);
+      }
+
+      return { url: image.url, publicId: image.publicId };
+    });
+
+    return {
+      _id: variant._id,
+      sku,
+      options: new Map(values),
+      price: { amount: price != null && price !== '' ? Number(price) : undefined },
+      stock,
+      images
+    };
+  });
+
+  // SKUs are unique across the seller's catalogue
+  if (skus.size > 0) {
+    const clash = await Product.findOne({
+      _id: { $ne: product._id },
+      sellerId: product.sellerId,
+      'variants.sku': { $in: [...skus] }
+    }).select('name');
+
+    if (clash) {
+      throw new VariantError(`Your product ${clash.name} already uses one of these SKUs`);
+    }
+  }
+
+  product.options = options;
+  product.variants = variants;
+
+  if (variants.length > 0) {
+    product.stock = variants.reduce((total, variant) => total + variant.stock, 0);
+  }
+
+  return product;
+}
+
+// The variant matrix shown on a product page: the option axes and every
+// variant with its price, stock and images (the product's own images when
+// it has none).
+function variantMatrix(product) {
+  return {
+    options: product.options.map(({ name, values }) => ({ name, values })),
+    variants: product.variants.map(variant => ({
+      _id: variant._id,
+      sku: variant.sku,
+      options: Object.fromEntries(entriesOf(variant.options)),
+      price: {
+        amount: variantPrice(product, variant),
+        currency: product.price.currency
+      },
+      stock: variant.stock,
+      inStock: variant.stock > 0,
+      images: variant.images.length > 0 ? variant.images : product.images
+    }))
+  };
+}
+
+// Take stock for an order line, from the variant when there is one, only
+// if enough is left. Returns the updated product, or null.
+function reserveStock(productId, variantId, quantity, session) {
+  const filter = { _id: productId, isActive: true, stock: { $gte: quantity } };
+  const update = { $inc: { stock: -quantity } };
+
+  if (variantId) {
+    filter.variants = { $elemMatch: { _id: variantId, stock: { $gte: quantity } } };
+    update.$inc['variants.$.stock'] = -quantity;
+  }
+
+  return Product.findOneAndUpdate(filter, update, { new: true, session });
+}
+
+// Put an order line's stock back. If its variant has since been removed
+// there is nowhere to put it.
+function restoreStock(item, session) {
+  if (item.variantId) {
+    return Product.updateOne(
+      { _id: item.productId, 'variants._id': item.variantId },
+      { $inc: { stock: item.quantity, 'variants.$.stock': item.quantity } },
+      { session }
+    );
+  }
+
+  return Product.updateOne(
+    { _id: item.productId },
+    { $inc: { stock: item.quantity } },
+    { session }
+  );
+}
+
+module.exports = {
+  VariantError,
+  variantLabel,
+  findVariant,
+  variantPrice,
+  setVariants,
+  variantMatrix,
+  reserveStock,
+  restoreStock
+};